@@ -0,0 +1,269 @@
+// @ts-nocheck
+/* ============
+   PROVIDERS
+   Every external data source goes through one adapter per kind:
+   - radar:    loadFrames() -> { past: [{ time, path }], nowcast: [...] }   (time in s, RainViewer style)
+               tileUrl(frame, { color, smooth, snow }) -> Leaflet URL template ({z}/{x}/{y})
+   - forecast: fetchPoints(points, query, signal) -> one Open-Meteo shaped object per point
+   - airQuality: same contract as forecast, Open-Meteo air-quality variables (AQI, PM, UV, pollen)
+   - geocoder: search(q) -> [{ name, lat, lon }]
+               reverse(lat, lon) -> place name | null
+
+   Selection (no core code to edit):
+   - ?provider=mock          -> every kind uses the local fixtures (serve the folder over http)
+   - ?radar=…&forecast=…&airQuality=…&geocoder=…  -> per kind
+   - window.RT_CONFIG = { providers: { radar: { name: "rainviewer", options: { apiUrl, host } }, … } }
+     declared in a <script> before this file, e.g. for a self-hosted radar or Nominatim.
+     RT_CONFIG.adapters = { radar: { myRadar: (options) => ({ loadFrames, tileUrl }) } } adds new ones.
+============ */
+
+const providerFactories = {
+  radar: {},
+  forecast: {},
+  airQuality: {},
+  geocoder: {},
+};
+
+function registerProvider(kind, name, factory) {
+  if (!providerFactories[kind]) throw new Error(`Unknown provider kind: ${kind}`);
+  providerFactories[kind][name] = factory;
+}
+
+async function fetchJson(url, init) {
+  const res = await fetch(url, init);
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+  return res.json();
+}
+
+/* ============
+   DEFAULT ADAPTERS
+============ */
+registerProvider("radar", "rainviewer", (opts = {}) => {
+  const apiUrl = opts.apiUrl || "https://api.rainviewer.com/public/weather-maps.json";
+  let host = opts.host || "https://tilecache.rainviewer.com";
+
+  return {
+    async loadFrames() {
+      const data = await fetchJson(apiUrl);
+      if (!opts.host && data?.host) host = data.host;
+      return { past: data?.radar?.past || [], nowcast: data?.radar?.nowcast || [] };
+    },
+    tileUrl(frame, { color = 2, smooth = true, snow = true } = {}) {
+      return `${host}${frame.path}/256/{z}/{x}/{y}/${color}/${smooth ? 1 : 0}_${snow ? 1 : 0}.png`;
+    },
+  };
+});
+
+// Forecast et qualité de l'air : même API multi-coordonnées, seule l'URL change
+function openMeteoAdapter(baseUrl) {
+  return {
+    async fetchPoints(points, query, signal) {
+      const url =
+        `${baseUrl}?latitude=${points.map((p) => p.lat.toFixed(4)).join(",")}` +
+        `&longitude=${points.map((p) => p.lon.toFixed(4)).join(",")}` +
+        `&${query}`;
+      const json = await fetchJson(url, { signal });
+      return Array.isArray(json) ? json : [json];
+    },
+  };
+}
+
+registerProvider("forecast", "open-meteo", (opts = {}) =>
+  openMeteoAdapter(opts.baseUrl || "https://api.open-meteo.com/v1/forecast")
+);
+
+registerProvider("airQuality", "open-meteo", (opts = {}) =>
+  openMeteoAdapter(opts.baseUrl || "https://air-quality-api.open-meteo.com/v1/air-quality")
+);
+
+registerProvider("geocoder", "nominatim", (opts = {}) => {
+  const baseUrl = opts.baseUrl || "https://nominatim.openstreetmap.org";
+
+  return {
+    async search(q) {
+      const items = await fetchJson(`${baseUrl}/search?format=json&limit=8&q=${encodeURIComponent(q)}`, {
+        headers: { Accept: "application/json" },
+      });
+      return (items || []).map((it) => ({
+        name: it.display_name,
+        lat: parseFloat(it.lat),
+        lon: parseFloat(it.lon),
+      }));
+    },
+    async reverse(lat, lon) {
+      const data = await fetchJson(`${baseUrl}/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1`);
+      if (!data.address) return null;
+
+      return (
+        data.address.city ||
+        data.address.town ||
+        data.address.village ||
+        data.address.municipality ||
+        data.address.county ||
+        null
+      );
+    },
+  };
+});
+
+/* ============
+   MOCK ADAPTERS (fixtures/, works offline)
+============ */
+const MOCK_BASE = "fixtures";
+
+registerProvider("radar", "mock", (opts = {}) => {
+  const base = opts.base || MOCK_BASE;
+
+  return {
+    async loadFrames() {
+      const fx = await fetchJson(`${base}/radar.json`);
+      // horodatage recalé sur "maintenant" : pas de 10 min comme RainViewer
+      const step = fx.stepSec || 600;
+      const t0 = Math.floor(Date.now() / 1000 / step) * step;
+      const frame = (tile, k) => ({ time: t0 + k * step, path: tile });
+
+      const past = fx.past.map((tile, i) => frame(tile, i - fx.past.length + 1));
+      const nowcast = fx.nowcast.map((tile, i) => frame(tile, i + 1));
+      return { past, nowcast };
+    },
+    tileUrl(frame) {
+      // une seule image par frame (palette Universal Blue), répétée sur toutes les tuiles
+      return `${base}/radar/${frame.path}.png`;
+    },
+  };
+});
+
+// Réponses Open-Meteo reconstruites à partir d'un fichier de valeurs (forecast.json, air-quality.json)
+function mockOpenMeteo(base, file) {
+  let fixture = null;
+
+  const STEPS = { minutely_15: 15 * 60, hourly: 3600, daily: 86400 };
+  const COUNTS = { minutely_15: 96 * 3, hourly: 24 * 7, daily: 7 };
+
+  // Variation douce et déterministe selon la position, pour avoir des champs non uniformes
+  function spatial(lat, lon) {
+    return 0.5 + 0.5 * Math.sin(lat * 3.1 + lon * 1.7);
+  }
+  // Variables en % (probabilités, nébulosité, humidité) : bornées à 0–100 après variation
+  const PERCENT_VARS = /probability|cloud_cover|humidity/;
+
+  function vary(name, value, f) {
+    if (typeof value !== "number") return value;
+    if (name.includes("direction")) return (value + f * 40) % 360;
+    if (name === "weather_code") return value;
+    if (name.startsWith("pressure")) return Math.round((value + (f - 0.5) * 16) * 10) / 10;
+    const v = Math.round(value * (0.7 + 0.6 * f) * 100) / 100;
+    return PERCENT_VARS.test(name) ? Math.min(100, Math.max(0, v)) : v;
+  }
+  function isoLocal(ms) {
+    return new Date(ms).toISOString().slice(0, 16);
+  }
+
+  function buildPoint(p, params) {
+    const f = spatial(p.lat, p.lon);
+    const day0 = Math.floor(Date.now() / 86400000) * 86400000; // minuit UTC
+    const out = { latitude: p.lat, longitude: p.lon, utc_offset_seconds: 0, timezone: "GMT" };
+
+    Object.keys(params).forEach((block) => {
+      const vars = String(params[block]).split(",");
+      if (block === "current") {
+        out.current = { time: isoLocal(Date.now()) };
+        vars.forEach((v) => (out.current[v] = vary(v, fixture.current?.[v] ?? 0, f)));
+        return;
+      }
+      if (!STEPS[block]) return;
+
+      const n = COUNTS[block];
+      const stepMs = STEPS[block] * 1000;
+      out[block] = { time: Array.from({ length: n }, (_, i) => isoLocal(day0 + i * stepMs)) };
+      if (block === "daily") out[block].time = out[block].time.map((t) => t.slice(0, 10));
+
+      vars.forEach((v) => {
+        const src = fixture[block]?.[v];
+        out[block][v] = Array.from({ length: n }, (_, i) => vary(v, src?.length ? src[i % src.length] : 0, f));
+      });
+    });
+
+    return out;
+  }
+
+  return {
+    async fetchPoints(points, query) {
+      if (!fixture) fixture = await fetchJson(`${base}/${file}`);
+      const params = Object.fromEntries(new URLSearchParams(query));
+      return points.map((p) => buildPoint(p, params));
+    },
+  };
+}
+
+registerProvider("forecast", "mock", (opts = {}) => mockOpenMeteo(opts.base || MOCK_BASE, "forecast.json"));
+registerProvider("airQuality", "mock", (opts = {}) => mockOpenMeteo(opts.base || MOCK_BASE, "air-quality.json"));
+
+registerProvider("geocoder", "mock", (opts = {}) => {
+  const base = opts.base || MOCK_BASE;
+  let places = null;
+
+  async function load() {
+    if (!places) places = await fetchJson(`${base}/places.json`);
+    return places;
+  }
+
+  return {
+    async search(q) {
+      const needle = q.toLowerCase();
+      return (await load()).filter((p) => p.name.toLowerCase().includes(needle)).slice(0, 8);
+    },
+    async reverse(lat, lon) {
+      let best = null;
+      (await load()).forEach((p) => {
+        const d = (p.lat - lat) ** 2 + (p.lon - lon) ** 2;
+        if (!best || d < best.d) best = { d, name: p.name.split(",")[0] };
+      });
+      return best && best.d < 0.25 ? best.name : null;
+    },
+  };
+});
+
+/* ============
+   SELECTION
+============ */
+const PROVIDER_DEFAULTS = {
+  radar: "rainviewer",
+  forecast: "open-meteo",
+  airQuality: "open-meteo",
+  geocoder: "nominatim",
+};
+
+function readProviderConfig() {
+  const extra = window.RT_CONFIG?.adapters || {};
+  Object.keys(extra).forEach((kind) => {
+    Object.keys(extra[kind]).forEach((name) => registerProvider(kind, name, extra[kind][name]));
+  });
+
+  const conf = { ...PROVIDER_DEFAULTS, ...(window.RT_CONFIG?.providers || {}) };
+  const qs = new URLSearchParams(location.search);
+
+  const all = qs.get("provider");
+  Object.keys(PROVIDER_DEFAULTS).forEach((kind) => {
+    const name = qs.get(kind) || all;
+    if (name) conf[kind] = name;
+  });
+  return conf;
+}
+
+function createProviders(conf) {
+  const out = {};
+  Object.keys(PROVIDER_DEFAULTS).forEach((kind) => {
+    const entry = typeof conf[kind] === "string" ? { name: conf[kind] } : conf[kind];
+    const factory = providerFactories[kind][entry.name];
+    if (!factory) {
+      console.warn(`Provider "${entry.name}" inconnu pour ${kind}, on garde ${PROVIDER_DEFAULTS[kind]}`);
+      out[kind] = providerFactories[kind][PROVIDER_DEFAULTS[kind]]();
+      return;
+    }
+    out[kind] = factory(entry.options);
+  });
+  return out;
+}
+
+const providers = createProviders(readProviderConfig());
@@ -17,84 +17,394 @@ document.addEventListener("DOMContentLoaded", () => {
 
 /* ============
    NOTES
+   - Data sources go through the adapters of providers.js (defaults: RainViewer, Open-Meteo, Nominatim).
    - Search uses Nominatim (OSM) geocoding.
    - Radar is RainViewer tiles (native zoom limited); we keep zoom free by upscaling with maxNativeZoom.
    - Wind particles are subtle (canvas opacity set in CSS) so radar stays visible.
-   - "Direction pluie" is a visual helper: arrows use wind direction as proxy for rain movement.
+   - "Direction pluie" estimates rain motion by block matching the last two observed radar frames;
+     cells without echo fall back to the wind direction as proxy.
 ============ */
 
 let map;
 let baseOSM, baseSat;
 let userMarker = null;
+let geoPosition = null; // { lat, lon } si la géolocalisation a réussi
 
-let radarLayer = null;
+let radarLayers = new Map(); // path -> L.tileLayer (une couche par frame)
+let radarShownPath = null;
+let radarSettings = { color: 2, smooth: true, snow: true, opacity: 0.85 };
 let frames = [];
 let frameIndex = 0;
+let radarPastCount = 0; // frames observées (le reste = nowcast)
+let radarFrameCount = 0; // frames radar (observées + nowcast) ; au-delà : frames modèle { model: true }
 let anim = null;
+let playback = { delay: 700, range: "all" };
 
 let windCanvas, windCtx;
 let windRunning = false;
+let windRaf = null;
+let windZooming = false;
 let windParticles = [];
 let windCenter = { spd: 0, deg: 0, u: 0, v: 0 };
+let windField = null; // grille de vent échantillonnée sur la vue
+let windFieldPending = null;
+
+let summaryPlace = null; // { lat, lon, label } : lieu de la carte "Pluie aujourd'hui ?"
 
 let windArrowLayer = null;
 let rainDirLayer = null;
+let rainDirToken = 0;
+let rainMotion = null; // dernier champ de mouvement estimé (radar)
 
 const statusEl = document.getElementById("status");
 const sliderEl = document.getElementById("timeline");
 const playBtnEl = document.getElementById("playBtn");
+const stepBackBtn = document.getElementById("stepBackBtn");
+const stepFwdBtn = document.getElementById("stepFwdBtn");
+const speedSelect = document.getElementById("speedSelect");
+const loopRangeSelect = document.getElementById("loopRangeSelect");
+
+const radarPaletteSelect = document.getElementById("radarPalette");
+const radarSmoothToggle = document.getElementById("radarSmooth");
+const radarSnowToggle = document.getElementById("radarSnow");
+const radarOpacityInput = document.getElementById("radarOpacity");
+const alertRulesEl = document.getElementById("alertRules");
+const alertRulesResetBtn = document.getElementById("alertRulesReset");
+const notifyToggle = document.getElementById("notifyToggle");
+const alertHistoryEl = document.getElementById("alertHistoryList");
+const alertHistoryClearBtn = document.getElementById("alertHistoryClear");
+const rainLegendEl = document.getElementById("rainLegend");
 const timeLabelEl = document.getElementById("timeLabel");
+const timelineWrapEl = document.getElementById("timelineWrap");
+const radarProgressEl = document.getElementById("radarProgress");
 
 const radarToggle = document.getElementById("radarToggle");
 const rainAutoToggle = document.getElementById("rainAutoToggle");
 const rainDirToggle = document.getElementById("rainDirToggle");
 const windParticlesToggle = document.getElementById("windParticlesToggle");
 const windArrowsToggle = document.getElementById("windArrowsToggle");
+const snowToggle = document.getElementById("snowToggle");
+const stormToggle = document.getElementById("stormToggle");
+const tempToggle = document.getElementById("tempToggle");
+const cloudToggle = document.getElementById("cloudToggle");
+const pressureToggle = document.getElementById("pressureToggle");
+const aqiToggle = document.getElementById("aqiToggle");
+const uvToggle = document.getElementById("uvToggle");
+const pollenToggle = document.getElementById("pollenToggle");
+const legendEl = document.querySelector(".legend");
 const themeBtn = document.getElementById("themeBtn");
 
 const citySearch = document.getElementById("citySearch");
 const searchResults = document.getElementById("searchResults");
 
 const addFavBtn = document.getElementById("addFavBtn");
+const favManageBtn = document.getElementById("favManageBtn");
+const favPanelEl = document.getElementById("favPanel");
+const favCloseBtn = document.getElementById("favCloseBtn");
+const favManagerListEl = document.getElementById("favManagerList");
+const favGroupsList = document.getElementById("favGroups");
+const favExportJsonBtn = document.getElementById("favExportJson");
+const favExportGeoBtn = document.getElementById("favExportGeo");
+const favImportInput = document.getElementById("favImport");
 const favList = document.getElementById("favList");
 
 const toastHost = document.getElementById("toastHost");
+const todayCardEl = document.getElementById("todayCard");
+const detailsPanelEl = document.getElementById("detailsPanel");
+const detailsBodyEl = document.getElementById("detailsBody");
+const detailsTitleEl = document.getElementById("detailsTitle");
+const detailsCloseBtn = document.getElementById("detailsCloseBtn");
+const routeBtn = document.getElementById("routeBtn");
+const routePanelEl = document.getElementById("routePanel");
+const routeCloseBtn = document.getElementById("routeCloseBtn");
+const routeDrawBtn = document.getElementById("routeDrawBtn");
+const routeImportInput = document.getElementById("routeImport");
+const routeClearBtn = document.getElementById("routeClearBtn");
+const routeDepartInput = document.getElementById("routeDepart");
+const routeModeSelect = document.getElementById("routeMode");
+const routeSpeedInput = document.getElementById("routeSpeed");
+const routeComputeBtn = document.getElementById("routeComputeBtn");
+const routeResultEl = document.getElementById("routeResult");
 
 const bmOsm = document.getElementById("bmOsm");
 const bmSat = document.getElementById("bmSat");
 
 const FAV_KEY = "rt_favs_v2";
 const ALERT_KEY = "rt_alerts_v2";
+const ALERT_RULES_KEY = "rt_alert_rules_v1";
+const ALERT_HISTORY_KEY = "rt_alert_history_v1";
+const NOTIFY_KEY = "rt_notify_v1";
+const ROUTE_KEY = "rt_route_v1";
+const LAST_FORECAST_KEY = "rt_last_forecast_v1";
+
+let statusText = "";
+let offlineDataAt = null; // horodatage des données servies depuis le cache (hors ligne)
+
+const RADAR_REFRESH_MS = 5 * 60 * 1000;
+const RADAR_SETTINGS_KEY = "rt_radar_v1";
+const RADAR_PRELOAD_TIMEOUT = 12000;
+const RADAR_LOOP_PAUSE_MS = 1500; // temps d'arrêt sur la dernière frame avant de reboucler
+const MODEL_HORIZON_H = 24; // la timeline continue avec la pluie du modèle jusqu'à +24 h
+const PLAYBACK_KEY = "rt_playback_v1";
 
 // tile transparente en cas d’erreur de tuile radar
 const transparentPng =
   "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8z8AABgAD/ctB9n8AAAAASUVORK5CYII=";
 
+/* ============
+   DATA ACCESS (forecast + air-quality providers, Open-Meteo by default)
+   - multi-coordinate requests batched into one call
+   - responses cached per rounded grid cell + model run, with a TTL
+   - identical in-flight requests shared
+   - a new call in the same "group" aborts the previous one (e.g. the user panned again)
+============ */
+const OM_CACHE_TTL = 15 * 60 * 1000;
+const OM_CACHE_MAX = 600;
+const OM_CELL_DEG = 0.05; // ~5 km, proche de la maille des modèles
+const OM_BATCH_MAX = 50;
+
+const omCache = new Map(); // `${source}|${params}|${cell}|${run}` -> { at, data }
+const omInflight = new Map(); // requestKey -> { promise, controller, owners: Set }
+const omGroups = new Map(); // group -> Set(requestKey) de son dernier appel
+
+function omCellKey(lat, lon) {
+  const r = (x) => (Math.round(x / OM_CELL_DEG) * OM_CELL_DEG).toFixed(2);
+  return `${r(lat)},${r(lon)}`;
+}
+
+// Open-Meteo met à jour ses modèles au fil des heures : un run = une heure UTC
+function omModelRun(now) {
+  return Math.floor(now / 3600000);
+}
+
+function omParamString(params) {
+  return Object.keys(params)
+    .sort()
+    .map((k) => `${k}=${Array.isArray(params[k]) ? params[k].join(",") : params[k]}`)
+    .join("&");
+}
+
+function isAbortError(err) {
+  return err && err.name === "AbortError";
+}
+
+function omAbortGroup(group) {
+  const keys = omGroups.get(group);
+  if (!keys) return;
+  keys.forEach((key) => {
+    const entry = omInflight.get(key);
+    if (!entry) return;
+    entry.owners.delete(group);
+    // on n'annule que si plus personne n'attend cette requête
+    if (!entry.owners.size) {
+      entry.controller.abort();
+      omInflight.delete(key);
+    }
+  });
+  omGroups.delete(group);
+}
+
+function omRequest(points, query, owner, source) {
+  const key = `${source}|${points.map((p) => `${p.lat.toFixed(4)},${p.lon.toFixed(4)}`).join(";")}|${query}`;
+  let entry = omInflight.get(key);
+  if (entry) {
+    entry.owners.add(owner);
+    return { key, promise: entry.promise };
+  }
+
+  const controller = new AbortController();
+  const promise = providers[source].fetchPoints(points, query, controller.signal).finally(() => {
+    if (omInflight.get(key)?.promise === promise) omInflight.delete(key);
+  });
+
+  entry = { promise, controller, owners: new Set([owner]) };
+  omInflight.set(key, entry);
+  return { key, promise };
+}
+
+/**
+ * Forecast for several points at once.
+ * @param {{lat:number, lon:number}[]} points
+ * @param {object} params  Open-Meteo query params (arrays joined with ",")
+ * @param {{group?: string, source?: "forecast"|"airQuality"}} [opts]  calls sharing a group cancel each other;
+ *        source picks the provider (air-quality variables live in another API)
+ * @returns {Promise<object[]>} one Open-Meteo response per point (rejects with AbortError if superseded)
+ */
+async function fetchForecast(points, params, { group, source = "forecast" } = {}) {
+  const owner = group || Symbol("om");
+  if (group) omAbortGroup(group);
+
+  const paramStr = omParamString(params);
+  const now = Date.now();
+  const run = omModelRun(now);
+
+  const keyOf = (p) => `${source}|${paramStr}|${omCellKey(p.lat, p.lon)}|${run}`;
+  const missing = new Map(); // cacheKey -> point
+  points.forEach((p) => {
+    const key = keyOf(p);
+    const hit = omCache.get(key);
+    if (hit && now - hit.at < OM_CACHE_TTL) {
+      // LRU : une entrée relue repasse en fin de Map (les plus anciennes sont en tête)
+      omCache.delete(key);
+      omCache.set(key, hit);
+      return;
+    }
+    if (!missing.has(key)) missing.set(key, p);
+  });
+
+  const todo = [...missing.entries()];
+  const keys = [];
+  const jobs = [];
+  for (let i = 0; i < todo.length; i += OM_BATCH_MAX) {
+    const chunk = todo.slice(i, i + OM_BATCH_MAX);
+    const req = omRequest(
+      chunk.map(([, p]) => p),
+      paramStr,
+      owner,
+      source
+    );
+    keys.push(req.key);
+    jobs.push(
+      req.promise.then((list) => {
+        chunk.forEach(([key], idx) => {
+          if (!list[idx]) return;
+          omCache.delete(key);
+          omCache.set(key, { at: Date.now(), data: list[idx] });
+        });
+      })
+    );
+  }
+  if (group) omGroups.set(group, new Set(keys));
+
+  await Promise.all(jobs);
+
+  // résultats lus avant l'éviction, qui pourrait sinon retirer les points de cet appel
+  const out = points.map((p) => omCache.get(keyOf(p))?.data || null);
+  while (omCache.size > OM_CACHE_MAX) omCache.delete(omCache.keys().next().value);
+  return out;
+}
+
+async function fetchForecastPoint(lat, lon, params, opts) {
+  const [data] = await fetchForecast([{ lat, lon }], params, opts);
+  return data;
+}
+
+// Les heures Open-Meteo (timezone=auto) sont locales au point, sans décalage
+function omTimeMs(data, t) {
+  return Date.parse(`${t}Z`) - (data?.utc_offset_seconds || 0) * 1000;
+}
+
+// Série d'une variable à partir du pas de temps courant (les tableaux commencent à minuit)
+function omSeriesFromNow(data, block, variable) {
+  return omStepsFromNow(data, block, variable).map((x) => x.v);
+}
+
+// Idem avec l'horodatage : [{ t (ms), v }]
+function omStepsFromNow(data, block, variable) {
+  const times = data?.[block]?.time || [];
+  const values = data?.[block]?.[variable] || [];
+  const step = times.length > 1 ? omTimeMs(data, times[1]) - omTimeMs(data, times[0]) : 0;
+  const now = Date.now();
+
+  let i0 = 0;
+  while (i0 < times.length && omTimeMs(data, times[i0]) + step <= now) i0++;
+  return values.slice(i0).map((v, k) => ({ t: omTimeMs(data, times[i0 + k]), v: v ?? 0 }));
+}
+
+// Valeur d'une variable à l'instant tMs (interpolation linéaire entre deux pas), null hors série.
+// interpolate = false : valeur du pas en cours, pour les catégories (weather_code)
+function omValueAt(data, block, variable, tMs, interpolate = true) {
+  const times = data?.[block]?.time || [];
+  const values = data?.[block]?.[variable] || [];
+  if (!times.length) return null;
+
+  let i = 0;
+  while (i < times.length - 1 && omTimeMs(data, times[i + 1]) <= tMs) i++;
+  const t0 = omTimeMs(data, times[i]);
+  if (tMs < t0) return null;
+  if (i >= times.length - 1) return tMs - t0 < 3600000 ? values[i] ?? null : null;
+
+  if (!interpolate) return values[i] ?? null;
+
+  const t1 = omTimeMs(data, times[i + 1]);
+  const a = values[i];
+  const b = values[i + 1];
+  if (a === null || a === undefined) return b ?? null;
+  if (b === null || b === undefined) return a;
+  return a + ((b - a) * (tMs - t0)) / (t1 - t0);
+}
+
 /* ============
    REVERSE GEOCODING: get city from lat/lon
 ============ */
 async function getCityName(lat, lon) {
   try {
-    const res = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1`
-    );
-    const data = await res.json();
-    if (!data.address) return null;
-
-    return (
-      data.address.city ||
-      data.address.town ||
-      data.address.village ||
-      data.address.municipality ||
-      data.address.county ||
-      null
-    );
+    return await providers.geocoder.reverse(lat, lon);
   } catch (err) {
     console.warn("Reverse geocoding error:", err);
     return null;
   }
 }
 
+/* ============
+   STATUS + OFFLINE (service worker, PWA)
+============ */
+function setStatus(text) {
+  if (text !== undefined) statusText = text;
+  if (!statusEl) return;
+
+  if (offlineDataAt !== null) {
+    statusEl.textContent = offlineDataAt
+      ? `Hors ligne — données de ${fmtClock(offlineDataAt)}`
+      : "Hors ligne — données en cache";
+  } else {
+    statusEl.textContent = statusText;
+  }
+  statusEl.classList.toggle("offline", offlineDataAt !== null);
+}
+
+function initOffline() {
+  if ("serviceWorker" in navigator && location.protocol !== "file:") {
+    navigator.serviceWorker.register("sw.js").catch((err) => console.warn("Service worker:", err));
+
+    // le SW prévient quand il a dû répondre avec une copie en cache
+    navigator.serviceWorker.addEventListener("message", (e) => {
+      // clic sur une notification d'alerte : on va sur le lieu concerné
+      if (e.data?.type === "rt-focus-location") {
+        goToLocation(e.data.lat, e.data.lon, e.data.name);
+        return;
+      }
+      if (e.data?.type !== "rt-offline-data") return;
+      const at = e.data.fetchedAt || 0;
+      offlineDataAt = offlineDataAt ? Math.min(offlineDataAt, at) : at;
+      setStatus();
+    });
+  }
+
+  window.addEventListener("offline", () => {
+    if (offlineDataAt === null) offlineDataAt = 0;
+    setStatus();
+  });
+
+  window.addEventListener("online", async () => {
+    offlineDataAt = null;
+    setStatus();
+    await loadRadarFrames({ keepPosition: true });
+    ensureRadarLayer();
+  });
+}
+
+function getLastForecast() {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_FORECAST_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+function setLastForecast(f) {
+  localStorage.setItem(LAST_FORECAST_KEY, JSON.stringify(f));
+}
+
 /* ============
    THEME (smart night mode)
 ============ */
@@ -164,6 +474,11 @@ async function initMap(lat, lon) {
 
   // Marker at user location
   userMarker = L.marker([lat, lon]).addTo(map);
+  setSummaryPlace(lat, lon, null);
+  getCityName(lat, lon).then((name) => {
+    if (name && summaryPlace?.lat === lat && summaryPlace?.lon === lon) setSummaryPlace(lat, lon, name);
+  });
+  setInterval(() => refreshTodayCard(), 15 * 60 * 1000);
 
   // wind canvas
   windCanvas = document.getElementById("windCanvas");
@@ -177,26 +492,62 @@ async function initMap(lat, lon) {
   }
 
   // init UI
+  initOffline();
   initTheme();
   initSearchUI();
   initBasemapSwitch();
   initToggles();
+  initRadarSettings();
+  initSparkSync();
+  initDetailsPanel();
+  initRoutePanel();
+  initFavManager();
+  initGridOverlays();
+  initAlertRules();
+  initNotifications();
+  renderAlertHistory();
   renderFavs();
   startAlertLoop();
 
   // radar frames + first render
-  if (statusEl) statusEl.textContent = "Chargement radar…";
+  setStatus("Chargement radar…");
   await loadRadarFrames();
   ensureRadarLayer();
   updateFrameUI(true);
+  startRadarRefresh();
+  if (rainAutoToggle?.checked) startAnim();
+  else stopAnim();
 
   // map events
   map.on("click", async (e) => {
+    if (routeDrawing) {
+      addRouteVertex(e.latlng);
+      return;
+    }
     await onMapClick(e.latlng);
   });
 
+  // particules géo-ancrées : les traînées écran ne valent plus après un déplacement
+  map.on("move", () => {
+    if (windRunning) clearCanvas();
+  });
+  map.on("zoomstart", () => {
+    windZooming = true;
+    clearCanvas();
+  });
+  map.on("zoomend", () => {
+    windZooming = false;
+    clearCanvas();
+  });
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) pauseWindParticles();
+    else resumeWindParticles();
+  });
+
   map.on("moveend", async () => {
     await refreshCenterWind();
+    if (windParticlesToggle?.checked) ensureWindField();
     if (rainDirToggle?.checked) drawRainDirection();
     if (windArrowsToggle?.checked) drawWindArrows();
   });
@@ -209,7 +560,7 @@ async function initMap(lat, lon) {
   if (rainDirToggle?.checked) drawRainDirection();
   if (windArrowsToggle?.checked) drawWindArrows();
 
-  if (statusEl) statusEl.textContent = "Radar prêt";
+  if (frames.length) setStatus(radarAgeText());
 }
 
 function resizeCanvas() {
@@ -264,8 +615,10 @@ function initToggles() {
     else clearWindArrows();
   });
 
+  // "Déplacement pluie" = lecture automatique de la boucle radar
   rainAutoToggle?.addEventListener("change", () => {
-    if (!rainAutoToggle.checked) stopAnim();
+    if (rainAutoToggle.checked) startAnim();
+    else stopAnim();
   });
 
   playBtnEl?.addEventListener("click", () => {
@@ -278,18 +631,21 @@ function initToggles() {
     setRadarFrame(frameIndex);
     updateFrameUI(false);
   });
+
+  initPlaybackControls();
 }
 
 /* ============
    RADAR (RainViewer) - VERSION STABLE (fix zoom)
 ============ */
-async function loadRadarFrames() {
+/**
+ * Load the radar frame list.
+ * keepPosition: stay at the same place relative to "now" (e.g. still on "+30 min"),
+ * used by the periodic refresh so playback and the user's choice are not reset.
+ */
+async function loadRadarFrames({ keepPosition = false } = {}) {
   try {
-    const res = await fetch("https://api.rainviewer.com/public/weather-maps.json");
-    const data = await res.json();
-
-    const past = data?.radar?.past || [];
-    const nowcast = data?.radar?.nowcast || [];
+    const { past, nowcast } = await providers.radar.loadFrames();
 
     // 1h passé = 4 frames de 15 min (selon dispo)
     const pastWanted = past.slice(-4);
@@ -297,32 +653,85 @@ async function loadRadarFrames() {
     // 2h futur = 8 frames de 15 min (selon dispo)
     const futureWanted = nowcast.slice(0, 8);
 
-    frames = [...pastWanted, ...futureWanted];
+    const radar = [...pastWanted, ...futureWanted];
+    if (!radar.length) throw new Error("No radar frames");
+    const next = [...radar, ...modelFramesAfter(radar[radar.length - 1].time)];
 
-    if (!frames.length) throw new Error("No radar frames");
+    const offset = keepPosition && frames.length ? frameIndex - radarNowIndex() : 0;
+    const changed = next.map(frameKey).join() !== frames.map(frameKey).join();
+
+    frames = next;
+    radarPastCount = pastWanted.length;
+    radarFrameCount = radar.length;
 
     // Par défaut on se met sur la frame la + proche du "maintenant"
     // (dernière du passé si elle existe, sinon première du futur)
-    frameIndex = pastWanted.length ? pastWanted.length - 1 : 0;
+    frameIndex = clamp(radarNowIndex() + offset, 0, frames.length - 1);
 
     if (sliderEl) {
       sliderEl.max = String(frames.length - 1);
       sliderEl.value = String(frameIndex);
     }
 
-    setRadarFrame(frameIndex);
+    if (changed) pruneRadarLayers();
+    if (changed || !keepPosition) setRadarFrame(frameIndex);
+    if (changed) preloadRadarFrames();
     updateFrameUI(true);
-    if (statusEl) statusEl.textContent = "Radar prêt";
+    setStatus(radarAgeText());
+    return changed;
   } catch (err) {
     console.error(err);
-    if (statusEl) statusEl.textContent = "Erreur radar";
+    setStatus(keepPosition && frames.length ? radarAgeText() : "Erreur radar");
+    return false;
   }
 }
 
+// Pas horaires du modèle après la dernière frame radar (au moins 30 min plus tard)
+function modelFramesAfter(lastTime) {
+  const out = [];
+  const end = Date.now() / 1000 + MODEL_HORIZON_H * 3600;
+  for (let t = Math.ceil((lastTime + 1800) / 3600) * 3600; t <= end; t += 3600) {
+    out.push({ time: t, model: true });
+  }
+  return out;
+}
+
+function isModelFrame(i) {
+  return !!frames[i]?.model;
+}
+
+function frameKey(f) {
+  return f.model ? `model-${f.time}` : f.path;
+}
+
+function radarNowIndex() {
+  return radarPastCount ? radarPastCount - 1 : 0;
+}
+
+// Âge de la dernière image observée (les frames nowcast sont des prévisions)
+function radarAgeText() {
+  if (!radarPastCount) return "Radar prêt";
+  const min = Math.round((Date.now() - frames[radarNowIndex()].time * 1000) / 60000);
+  return min < 1 ? "Radar à jour (à l’instant)" : `Radar : dernière image il y a ${min} min`;
+}
+
+/* Rafraîchissement périodique : nouvelles frames + libellés "Passé/Futur" qui vieillissent */
+function startRadarRefresh() {
+  setInterval(async () => {
+    const changed = await loadRadarFrames({ keepPosition: true });
+    if (changed && rainDirToggle?.checked) drawRainDirection();
+  }, RADAR_REFRESH_MS);
+
+  setInterval(() => {
+    if (!frames.length) return;
+    updateFrameUI(false);
+    setStatus(radarAgeText());
+  }, 60000);
+}
 
 function buildRadarUrl(i) {
-  if (!frames.length || !frames[i]?.path) return null;
-  return `https://tilecache.rainviewer.com${frames[i].path}/256/{z}/{x}/{y}/2/1_1.png`;
+  if (!frames.length || !frames[i]?.path || frames[i].model) return null;
+  return providers.radar.tileUrl(frames[i], radarSettings);
 }
 
 function ensureRadarLayer() {
@@ -330,46 +739,132 @@ function ensureRadarLayer() {
   if (!radarToggle || !radarToggle.checked) return;
   if (!frames.length) return;
 
-  // force rendu de la frame courante
+  // force rendu de la frame courante, puis charge les autres en fond
   setRadarFrame(frameIndex);
+  preloadRadarFrames();
 }
 
 function setRadarFrame(i) {
   showRadarFrame(i);
 }
 
-function showRadarFrame(i) {
-  if (!map) return;
-  if (!frames.length) return;
+// Une couche par frame : les tuiles restent en place d'une frame à l'autre (pas de clignotement)
+function radarLayerFor(i) {
+  const path = frames[i]?.path;
+  if (!path || frames[i].model) return null;
 
-  const url = buildRadarUrl(i);
-  if (!url) return;
+  let layer = radarLayers.get(path);
+  if (!layer) {
+    const url = buildRadarUrl(i);
+    if (!url) return null;
 
-  if (!radarLayer) {
-    radarLayer = L.tileLayer(url, {
+    layer = L.tileLayer(url, {
       pane: "radarPane",
-      opacity: 0.85,
+      className: "radar-frame",
+      opacity: 0,
       tileSize: 256,
       maxNativeZoom: 7,
       maxZoom: 19,
       updateWhenZooming: true,
       updateWhenIdle: false,
-      keepBuffer: 8,
+      keepBuffer: 2,
       crossOrigin: true,
       errorTileUrl: transparentPng,
     });
+    layer.rtReady = false;
+    layer.on("loading", () => {
+      layer.rtReady = false;
+      updateRadarProgress();
+    });
+    layer.on("load", () => {
+      layer.rtReady = true;
+      updateRadarProgress();
+    });
+    radarLayers.set(path, layer);
+  }
 
-    if (radarToggle?.checked) radarLayer.addTo(map);
-  } else {
-    radarLayer.setUrl(url);
-    if (radarToggle?.checked && !map.hasLayer(radarLayer)) radarLayer.addTo(map);
+  if (radarToggle?.checked && !map.hasLayer(layer)) layer.addTo(map);
+  return layer;
+}
+
+// Retire les couches des frames qui ne sont plus dans la liste (après refresh)
+function pruneRadarLayers() {
+  const keep = new Set(frames.map((f) => f.path));
+  radarLayers.forEach((layer, path) => {
+    if (keep.has(path)) return;
+    if (map?.hasLayer(layer)) map.removeLayer(layer);
+    radarLayers.delete(path);
+  });
+}
+
+function showRadarFrame(i) {
+  if (!map) return;
+  if (!frames.length) return;
+
+  // frame modèle : plus de radar, la grille du modèle prend le relais (renderGridOverlays)
+  if (isModelFrame(i)) {
+    radarLayers.get(radarShownPath)?.setOpacity(0);
+    radarShownPath = null;
+    return;
   }
+
+  const layer = radarLayerFor(i);
+  if (!layer) return;
+
+  // fondu : la nouvelle frame monte pendant que l'ancienne descend (transition CSS)
+  const prev = radarLayers.get(radarShownPath);
+  if (prev && prev !== layer) prev.setOpacity(0);
+  layer.setOpacity(radarSettings.opacity);
+  radarShownPath = frames[i].path;
+}
+
+/* Charge les tuiles visibles de toutes les frames ; résout quand tout est prêt (ou timeout) */
+function preloadRadarFrames() {
+  if (!map || !frames.length || !radarToggle?.checked) return Promise.resolve();
+
+  const waits = frames.slice(0, radarFrameCount).map((_, i) => {
+    const layer = radarLayerFor(i);
+    if (!layer || layer.rtReady) return null;
+    return new Promise((resolve) => {
+      const t = setTimeout(resolve, RADAR_PRELOAD_TIMEOUT);
+      layer.once("load", () => {
+        clearTimeout(t);
+        resolve();
+      });
+    });
+  });
+  updateRadarProgress();
+  return Promise.all(waits);
+}
+
+function updateRadarProgress() {
+  if (!radarProgressEl) return;
+  const layers = frames
+    .slice(0, radarFrameCount)
+    .map((f) => radarLayers.get(f.path))
+    .filter(Boolean);
+  const ready = layers.filter((l) => l.rtReady).length;
+  const done = !layers.length || ready === layers.length || !radarToggle?.checked;
+
+  radarProgressEl.classList.toggle("hidden", done);
+  radarProgressEl.title = `Préchargement radar ${ready}/${layers.length}`;
+  radarProgressEl.style.setProperty("--progress", layers.length ? `${(ready / layers.length) * 100}%` : "0%");
 }
 
 function removeRadarLayer() {
-  if (map && radarLayer) {
-    map.removeLayer(radarLayer);
-  }
+  if (!map) return;
+  radarLayers.forEach((layer) => {
+    if (map.hasLayer(layer)) map.removeLayer(layer);
+  });
+  updateRadarProgress();
+}
+
+// Options de rendu changées : les URL changent, on repart de couches neuves
+function resetRadarLayers() {
+  removeRadarLayer();
+  radarLayers.clear();
+  radarShownPath = null;
+  ensureRadarLayer();
 }
 
 function updateFrameUI(updateSlider = true) {
@@ -384,533 +879,3585 @@ function updateFrameUI(updateSlider = true) {
 
   // Compare à "maintenant" pour afficher Passé / Futur
   const diffMin = Math.round((ts - Date.now()) / 60000);
+  const model = isModelFrame(frameIndex);
   const tag =
-    diffMin < -2 ? `Passé (${Math.abs(diffMin)} min)` :
-    diffMin > 2  ? `Futur (+${diffMin} min)` :
-                   "Maintenant";
+    model        ? `Modèle (+${fmtLead(diffMin)})` :
+    diffMin < -2 ? `Radar, passé (${Math.abs(diffMin)} min)` :
+    diffMin > 2  ? `Radar, prévision (+${diffMin} min)` :
+                   "Radar, maintenant";
 
   if (timeLabelEl) {
+    const day = new Date().toDateString() === d.toDateString() ? "" : `${d.toLocaleDateString("fr-FR", { weekday: "short" })} `;
     timeLabelEl.textContent =
-      `${d.toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit" })} — ${tag}`;
+      `${day}${d.toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit" })} — ${tag}`;
+    timeLabelEl.classList.toggle("model", model);
+  }
+
+  // repère sur la timeline : fin du radar (observé + nowcast), début du modèle
+  if (timelineWrapEl) {
+    const hasModel = radarFrameCount < frames.length;
+    timelineWrapEl.classList.toggle("has-model", hasModel);
+    if (hasModel) {
+      const at = (radarFrameCount - 0.5) / Math.max(1, frames.length - 1);
+      timelineWrapEl.style.setProperty("--model-start", String(clamp(at, 0, 1)));
+    }
   }
+
+  updateSparkMarkers();
+  renderGridOverlays();
 }
 
-function startAnim() {
-  if (!frames.length || !radarToggle?.checked) return;
+async function startAnim() {
+  if (anim || !frames.length || !radarToggle?.checked) return;
 
   if (playBtnEl) playBtnEl.textContent = "⏸";
-  anim = setInterval(() => {
-    if (rainAutoToggle && !rainAutoToggle.checked) return; // respect toggle auto
-    frameIndex = (frameIndex + 1) % frames.length;
+  anim = -1; // réservé pendant le préchargement
+  await preloadRadarFrames();
+  if (anim !== -1) return; // arrêté entre-temps
+
+  scheduleAnimStep();
+}
+
+function scheduleAnimStep() {
+  const [, end] = radarLoopRange();
+  const delay = frameIndex >= end ? RADAR_LOOP_PAUSE_MS : playback.delay;
+
+  anim = setTimeout(() => {
+    const [a, b] = radarLoopRange();
+    frameIndex = frameIndex >= b || frameIndex < a ? a : frameIndex + 1;
     if (sliderEl) sliderEl.value = String(frameIndex);
     showRadarFrame(frameIndex);
     updateFrameUI(false);
-  }, 700);
+    scheduleAnimStep();
+  }, delay);
 }
 
 function stopAnim() {
-  if (anim) clearInterval(anim);
+  if (anim) clearTimeout(anim);
   anim = null;
   if (playBtnEl) playBtnEl.textContent = "▶";
 }
 
 /* ============
-   MAP CLICK: fetch weather + popup
+   PLAYBACK CONTROLS (speed, loop range, step, keyboard)
 ============ */
-async function onMapClick(latlng) {
-  const { lat, lng } = latlng;
+function getPlayback() {
+  try {
+    return { ...playback, ...JSON.parse(localStorage.getItem(PLAYBACK_KEY) || "{}") };
+  } catch {
+    return playback;
+  }
+}
+function setPlayback(p) {
+  playback = p;
+  localStorage.setItem(PLAYBACK_KEY, JSON.stringify(p));
+}
 
-  const city = await getCityName(lat, lng);
+// [début, fin] de la boucle : passé seul, futur radar seul, modèle seul ou tout (radar puis modèle)
+function radarLoopRange() {
+  const last = radarFrameCount - 1;
+  if (playback.range === "past" && radarPastCount) return [0, radarPastCount - 1];
+  if (playback.range === "future" && radarPastCount <= last) return [radarPastCount, last];
+  if (playback.range === "model" && radarFrameCount < frames.length) return [radarFrameCount, frames.length - 1];
+  return [0, Math.max(0, frames.length - 1)];
+}
+
+function goToFrame(i) {
+  if (!frames.length) return;
+  frameIndex = clamp(i, 0, frames.length - 1);
+  setRadarFrame(frameIndex);
+  updateFrameUI(true);
+}
+
+function stepFrame(delta) {
+  stopAnim();
+  goToFrame(frameIndex + delta);
+}
+
+function initPlaybackControls() {
+  playback = getPlayback();
+  if (speedSelect) speedSelect.value = String(playback.delay);
+  if (loopRangeSelect) loopRangeSelect.value = playback.range;
+
+  speedSelect?.addEventListener("change", () => {
+    setPlayback({ ...playback, delay: parseInt(speedSelect.value, 10) || 700 });
+  });
+
+  loopRangeSelect?.addEventListener("change", () => {
+    setPlayback({ ...playback, range: loopRangeSelect.value });
+    const [a, b] = radarLoopRange();
+    if (frameIndex < a || frameIndex > b) goToFrame(a);
+  });
 
-  const url =
-    `https://api.open-meteo.com/v1/forecast` +
-    `?latitude=${lat}&longitude=${lng}` +
-    `&current=temperature_2m,apparent_temperature,precipitation,weather_code,windspeed_10m,winddirection_10m` +
-    `&timezone=auto`;
+  stepBackBtn?.addEventListener("click", () => stepFrame(-1));
+  stepFwdBtn?.addEventListener("click", () => stepFrame(1));
+
+  sliderEl?.addEventListener("keydown", (e) => {
+    const [a, b] = radarLoopRange();
+    switch (e.key) {
+      case " ":
+      case "Enter":
+        if (anim) stopAnim();
+        else startAnim();
+        break;
+      case "ArrowLeft":
+      case "ArrowDown":
+        stepFrame(-1);
+        break;
+      case "ArrowRight":
+      case "ArrowUp":
+        stepFrame(1);
+        break;
+      case "Home":
+        stopAnim();
+        goToFrame(a);
+        break;
+      case "End":
+        stopAnim();
+        goToFrame(b);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+}
 
+/* ============
+   RADAR SETTINGS (palette, smoothing, snow, opacity) + rain legend
+============ */
+// Palettes RainViewer (approx.) : [dBZ mini, couleur]
+const RADAR_PALETTES = {
+  1: {
+    name: "Original",
+    stops: [[10, "#a0e6ff"], [20, "#3ec0ff"], [30, "#18a12a"], [35, "#f7e600"], [40, "#ff9d00"], [45, "#ff3d00"], [50, "#c80000"], [60, "#ff00ff"]],
+  },
+  2: {
+    name: "Universal Blue",
+    stops: [[10, "#88ddee"], [20, "#0099cc"], [25, "#0077aa"], [30, "#005588"], [35, "#ffee00"], [40, "#ffaa00"], [45, "#ff7700"], [50, "#ff4400"], [55, "#ee0000"], [60, "#990000"], [65, "#ffaaff"]],
+  },
+  4: {
+    name: "The Weather Channel",
+    stops: [[10, "#63eb63"], [20, "#3ba63b"], [30, "#0e6b0e"], [35, "#ffff00"], [40, "#ffa500"], [45, "#ff4500"], [50, "#c00000"], [60, "#ff00ff"]],
+  },
+  6: {
+    name: "NEXRAD Level III",
+    stops: [[5, "#04e9e7"], [10, "#019ff4"], [15, "#0300f4"], [20, "#02fd02"], [25, "#01c501"], [30, "#008e00"], [35, "#fdf802"], [40, "#e5bc00"], [45, "#fd9500"], [50, "#fd0000"], [55, "#d40000"], [60, "#bc0000"], [65, "#f800fd"]],
+  },
+  8: {
+    name: "Dark Sky",
+    stops: [[10, "#a8c8f8"], [20, "#6e93e6"], [30, "#4163c9"], [35, "#7548b8"], [40, "#a23aa4"], [45, "#cc2d7e"], [50, "#e8264a"], [60, "#ff3a1b"]],
+  },
+};
+
+// Catégories de la légende pluie (valeur représentative en mm/h pour la couleur)
+const RAIN_CLASSES = [
+  { label: "0 – 0.2 (faible)", mmh: 0.1 },
+  { label: "0.2 – 2 (modérée)", mmh: 1 },
+  { label: "2 – 10 (forte)", mmh: 5 },
+  { label: "10+ (très forte)", mmh: 20 },
+];
+
+function getRadarSettings() {
   try {
-    const res = await fetch(url);
-    const data = await res.json();
-
-    const cur = data.current || {};
-    const temp = cur.temperature_2m;
-    const feel = cur.apparent_temperature;
-    const rain = cur.precipitation;
-    const wcode = cur.weather_code;
-    const wspd = cur.windspeed_10m;
-    const wdeg = cur.winddirection_10m;
-
-    const stormRisk = thunderRiskFromWeatherCode(wcode);
-
-    const placeLine = city
-      ? `📍 <b>${escapeHtml(city)}</b> — ${lat.toFixed(3)}, ${lng.toFixed(3)}`
-      : `📍 ${lat.toFixed(3)}, ${lng.toFixed(3)}`;
-
-    const html = `
-      <div style="min-width:270px">
-        <div style="font-weight:900;margin-bottom:6px">${placeLine}</div>
-        <div>🌡️ Temp: <b>${fmt(temp)}°C</b> — Ressenti: <b>${fmt(feel)}°C</b></div>
-        <div>🌧️ Pluie: <b>${fmt(rain)} mm</b></div>
-        <div>🌬️ Vent: <b>${fmt(wspd)} km/h</b> (${windFromText(wdeg)})</div>
-        <div>⚡ Orage: <b>${escapeHtml(stormRisk)}</b></div>
-      </div>
-    `;
+    const saved = JSON.parse(localStorage.getItem(RADAR_SETTINGS_KEY) || "{}");
+    const st = { ...radarSettings, ...saved };
+    if (!RADAR_PALETTES[st.color]) st.color = 2;
+    return st;
+  } catch {
+    return radarSettings;
+  }
+}
+function setRadarSettings(st) {
+  radarSettings = st;
+  localStorage.setItem(RADAR_SETTINGS_KEY, JSON.stringify(st));
+}
 
-    L.popup().setLatLng([lat, lng]).setContent(html).openOn(map);
+// Marshall-Palmer : Z = 200 R^1.6
+function mmhToDbz(mmh) {
+  return 10 * Math.log10(200 * mmh ** 1.6);
+}
+function dbzToMmh(dbz) {
+  return (10 ** (dbz / 10) / 200) ** (1 / 1.6);
+}
 
-    if (userMarker) userMarker.setLatLng([lat, lng]);
+function paletteColorForDbz(dbz, color = radarSettings.color) {
+  const stops = (RADAR_PALETTES[color] || RADAR_PALETTES[2]).stops;
+  let c = stops[0][1];
+  for (const [min, hex] of stops) {
+    if (dbz >= min) c = hex;
+  }
+  return c;
+}
 
-    await refreshCenterWind();
-    if (rainDirToggle?.checked) drawRainDirection();
-    if (windArrowsToggle?.checked) drawWindArrows();
-  } catch (err) {
-    console.error(err);
+// Couleur radar (palette active) pour une intensité de pluie
+function rainColor(mmh) {
+  return paletteColorForDbz(mmhToDbz(Math.max(mmh, 0.05)));
+}
+
+function renderRainLegend() {
+  if (!rainLegendEl) return;
+  rainLegendEl.innerHTML =
+    `<div class="legend-title">Pluie (mm/h)</div>` +
+    RAIN_CLASSES.map(
+      (c) => `<div><span class="swatch" style="background:${rainColor(c.mmh)}"></span> ${escapeHtml(c.label)}</div>`
+    ).join("");
+}
+
+function initRadarSettings() {
+  radarSettings = getRadarSettings();
+
+  if (radarPaletteSelect) {
+    radarPaletteSelect.innerHTML = Object.entries(RADAR_PALETTES)
+      .map(([id, p]) => `<option value="${id}">${escapeHtml(p.name)}</option>`)
+      .join("");
+    radarPaletteSelect.value = String(radarSettings.color);
   }
+  if (radarSmoothToggle) radarSmoothToggle.checked = radarSettings.smooth;
+  if (radarSnowToggle) radarSnowToggle.checked = radarSettings.snow;
+  if (radarOpacityInput) radarOpacityInput.value = String(Math.round(radarSettings.opacity * 100));
+  renderRainLegend();
+
+  const onRenderChange = () => {
+    setRadarSettings({
+      ...radarSettings,
+      color: parseInt(radarPaletteSelect?.value, 10) || 2,
+      smooth: !!radarSmoothToggle?.checked,
+      snow: !!radarSnowToggle?.checked,
+    });
+    renderRainLegend();
+    resetRadarLayers();
+  };
+  radarPaletteSelect?.addEventListener("change", onRenderChange);
+  radarSmoothToggle?.addEventListener("change", onRenderChange);
+  radarSnowToggle?.addEventListener("change", onRenderChange);
+
+  radarOpacityInput?.addEventListener("input", () => {
+    setRadarSettings({ ...radarSettings, opacity: clamp(parseInt(radarOpacityInput.value, 10) / 100, 0.1, 1) });
+    radarLayers.get(radarShownPath)?.setOpacity(radarSettings.opacity);
+  });
 }
 
 /* ============
-   WIND: center + particles + arrows
+   MAP CLICK: fetch weather + popup
 ============ */
-async function refreshCenterWind() {
-  if (!map) return;
-  const c = map.getCenter();
-  const w = await fetchPointWind(c.lat, c.lng);
-  if (w) windCenter = w;
-}
+async function onMapClick(latlng) {
+  const { lat, lng } = latlng;
 
-async function fetchPointWind(lat, lon) {
-  const url =
-    `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
-    `&hourly=windspeed_10m,winddirection_10m&timezone=auto`;
+  const city = await getCityName(lat, lng);
 
   try {
-    const res = await fetch(url);
-    const data = await res.json();
+    const data = await fetchForecastPoint(
+      lat,
+      lng,
+      {
+        current: [
+          "temperature_2m",
+          "apparent_temperature",
+          "precipitation",
+          "weather_code",
+          "windspeed_10m",
+          "winddirection_10m",
+          "snowfall",
+          "snow_depth",
+        ],
+        minutely_15: "precipitation",
+        timezone: "auto",
+      },
+      { group: "click" }
+    );
 
-    const spd = data?.hourly?.windspeed_10m?.[0];
-    const deg = data?.hourly?.winddirection_10m?.[0];
-    if (spd == null || deg == null) return null;
+    const cur = data?.current || {};
+    setLastForecast({ lat, lon: lng, city, current: cur, at: Date.now() });
+    setSummaryPlace(lat, lng, city);
 
-    const toDeg = (deg + 180) % 360;
-    const toRad = (toDeg * Math.PI) / 180;
+    const next2h = omStepsFromNow(data, "minutely_15", "precipitation").slice(0, 8);
+    const html = pointPopupHtml({ lat, lon: lng, city, cur, next2h });
+    const popup = L.popup().setLatLng([lat, lng]).setContent(html).openOn(map);
+    bindPopupActions(popup, lat, lng, city);
+    updateSparkMarkers();
+    fillRadarProbe(popup, lat, lng);
+    fillAirQuality(popup, lat, lng);
+    fillRainEta(popup, lat, lng, computeRainEvent15(omSeriesFromNow(data, "minutely_15", "precipitation")));
 
-    const u = Math.sin(toRad) * spd;
-    const v = Math.cos(toRad) * spd;
+    if (userMarker) userMarker.setLatLng([lat, lng]);
 
-    return { spd, deg, u, v };
+    await refreshCenterWind();
+    if (rainDirToggle?.checked) drawRainDirection();
+    if (windArrowsToggle?.checked) drawWindArrows();
   } catch (err) {
+    if (isAbortError(err)) return;
     console.error(err);
-    return null;
+
+    // hors ligne : on ressort la dernière prévision connue, en le disant
+    const last = getLastForecast();
+    if (!last) return;
+    const html = pointPopupHtml({
+      lat: last.lat,
+      lon: last.lon,
+      city: last.city,
+      cur: last.current,
+      note: `Hors ligne — dernière prévision de ${fmtClock(last.at)}`,
+    });
+    const popup = L.popup().setLatLng([lat, lng]).setContent(html).openOn(map);
+    bindPopupActions(popup, last.lat, last.lon, last.city);
+    fillRadarProbe(popup, last.lat, last.lon);
+    fillRainEta(popup, last.lat, last.lon, null);
   }
 }
 
-/* Wind particles (subtle) */
-function startWindParticles() {
-  if (!windCanvas || !windCtx) return;
-  windRunning = true;
-  initParticles();
-  loopParticles();
+function pointPopupHtml({ lat, lon, city, cur, note, next2h }) {
+  const temp = cur.temperature_2m;
+  const feel = cur.apparent_temperature;
+  const rain = cur.precipitation;
+  const wcode = cur.weather_code;
+  const wspd = cur.windspeed_10m;
+  const wdeg = cur.winddirection_10m;
+
+  const stormRisk = thunderRiskFromWeatherCode(wcode);
+
+  const placeLine = city
+    ? `📍 <b>${escapeHtml(city)}</b> — ${lat.toFixed(3)}, ${lon.toFixed(3)}`
+    : `📍 ${lat.toFixed(3)}, ${lon.toFixed(3)}`;
+
+  return `
+    <div style="min-width:270px">
+      ${note ? `<div class="popup-note">${escapeHtml(note)}</div>` : ""}
+      <div style="font-weight:900;margin-bottom:6px">${placeLine}</div>
+      <div>🌡️ Temp: <b>${fmt(temp)}°C</b> — Ressenti: <b>${fmt(feel)}°C</b></div>
+      <div>🌧️ Pluie: <b>${fmt(rain)} mm</b> (modèle) — 📡 <b class="probe-now">…</b></div>
+      <div class="popup-eta">⏱️ Prévision radar…</div>
+      ${next2h ? `<div class="popup-spark">${sparkline15Html(next2h)}</div>` : ""}
+      <div class="popup-radar"></div>
+      ${snowPopupLine(cur)}
+      <div>🌬️ Vent: <b>${fmt(wspd)} km/h</b> (${windFromText(wdeg)})</div>
+      <div>⚡ Orage: <b>${escapeHtml(stormRisk)}</b></div>
+      <div class="popup-air"><div>🌫️ Air : …</div></div>
+      <button class="popup-btn" type="button" data-details>🔎 Détails</button>
+    </div>
+  `;
 }
-function stopWindParticles() {
-  windRunning = false;
-  windParticles = [];
-  clearCanvas();
+
+// snowfall : cm sur l'heure écoulée ; snow_depth : m au sol
+function snowPopupLine(cur) {
+  const fall = cur.snowfall;
+  const depth = cur.snow_depth;
+  if (fall === undefined && depth === undefined) return "";
+  if (!(fall > 0) && !(depth > 0)) return `<div>🌨️ Neige: <b>aucune</b></div>`;
+
+  const swatch = snowColor(fall) ? `<span class="swatch" style="background:${snowColor(fall)}"></span>` : "";
+  return `<div>🌨️ Neige: ${swatch}<b>${fmt(fall)} cm/h</b> — Au sol: <b>${fmt((depth || 0) * 100)} cm</b></div>`;
 }
-function clearCanvas() {
-  if (!windCtx) return;
-  windCtx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+function bindPopupActions(popup, lat, lon, city) {
+  popup
+    .getElement()
+    ?.querySelector("[data-details]")
+    ?.addEventListener("click", () => openDetails(lat, lon, city));
 }
-function initParticles() {
-  windParticles = [];
-  const count = 650;
-  for (let i = 0; i < count; i++) windParticles.push(newParticle());
+
+/* ============
+   RADAR PROBE (pixel under a point, decoded back to mm/h with the active palette)
+============ */
+let paletteRgb = { color: null, stops: [] };
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
 }
-function newParticle() {
-  return { x: Math.random() * window.innerWidth, y: Math.random() * window.innerHeight, age: Math.random() * 120 };
+
+// Couleur interpolée sur une échelle [[valeur, "#rrggbb"], …] triée
+function scaleColor(stops, v) {
+  if (v <= stops[0][0]) return stops[0][1];
+  const i = stops.findIndex(([x]) => x >= v);
+  if (i < 0) return stops[stops.length - 1][1];
+
+  const [x0, c0] = stops[i - 1];
+  const [x1, c1] = stops[i];
+  const t = (v - x0) / (x1 - x0);
+  const a = hexToRgb(c0);
+  const b = hexToRgb(c1);
+  return `#${a.map((ch, k) => Math.round(ch + (b[k] - ch) * t).toString(16).padStart(2, "0")).join("")}`;
 }
-function loopParticles() {
-  if (!windRunning || !windCtx) return;
 
-  windCtx.fillStyle = document.body.classList.contains("dark")
-    ? "rgba(0,0,0,0.10)"
-    : "rgba(255,255,255,0.10)";
-  windCtx.fillRect(0, 0, window.innerWidth, window.innerHeight);
+// Couleur -> mm/h : palier de la palette le plus proche (approximatif, surtout avec le lissage)
+function decodeRadarPixel(r, g, b, a) {
+  if (a < 16) return 0;
 
-  windCtx.lineWidth = 1;
-  windCtx.strokeStyle = windColor(windCenter.spd);
+  if (paletteRgb.color !== radarSettings.color) {
+    const stops = (RADAR_PALETTES[radarSettings.color] || RADAR_PALETTES[2]).stops;
+    paletteRgb = { color: radarSettings.color, stops: stops.map(([dbz, hex]) => [dbz, hexToRgb(hex)]) };
+  }
 
-  const spd = windCenter.spd || 0;
-  const speedFactor = clamp(spd / 25, 0.2, 2.6);
+  let best = null;
+  for (const [dbz, [pr, pg, pb]] of paletteRgb.stops) {
+    const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (!best || d < best.d) best = { d, dbz };
+  }
+  return dbzToMmh(best.dbz);
+}
 
-  for (const p of windParticles) {
-    const x0 = p.x,
-      y0 = p.y;
+/** Intensité radar (mm/h) au point pour la frame i ; null si la tuile n'a pas pu être lue. */
+async function probeRadarAt(lat, lon, i) {
+  if (!map || !frames[i]) return null;
+
+  const z = clamp(Math.round(map.getZoom()), 0, 7);
+  const n = 2 ** z;
+  const p = map.project([lat, lon], z);
+  const tx = Math.floor(p.x / 256);
+  const ty = Math.floor(p.y / 256);
+  if (ty < 0 || ty >= n) return null;
+
+  const url = radarTileUrl(i, z, ((tx % n) + n) % n, ty);
+  const img = url ? await loadRadarTilePixels(url) : null;
+  if (!img) return null;
+
+  const x = clamp(Math.floor(p.x - tx * 256), 0, 255);
+  const y = clamp(Math.floor(p.y - ty * 256), 0, 255);
+  const k = (y * 256 + x) * 4;
+  return decodeRadarPixel(img.data[k], img.data[k + 1], img.data[k + 2], img.data[k + 3]);
+}
 
-    p.x += windCenter.u * 0.07 * speedFactor;
-    p.y += windCenter.v * -0.07 * speedFactor;
+function probeRadarSeries(lat, lon) {
+  return Promise.all(frames.slice(0, radarFrameCount).map((_, i) => probeRadarAt(lat, lon, i)));
+}
 
-    p.age++;
+function rainClassLabel(mmh) {
+  if (mmh <= 0) return "sec";
+  if (mmh < 0.2) return "faible";
+  if (mmh < 2) return "modérée";
+  if (mmh < 10) return "forte";
+  return "très forte";
+}
 
-    windCtx.beginPath();
-    windCtx.moveTo(x0, y0);
-    windCtx.lineTo(p.x, p.y);
-    windCtx.stroke();
+async function fillRadarProbe(popup, lat, lon) {
+  if (!frames.length) return;
+  const shown = isModelFrame(frameIndex) ? radarNowIndex() : frameIndex;
+  const series = await probeRadarSeries(lat, lon);
 
-    if (p.x < 0 || p.x > window.innerWidth || p.y < 0 || p.y > window.innerHeight || p.age > 150) {
-      Object.assign(p, newParticle());
-    }
+  const root = popup.getElement();
+  if (!root || !popup.isOpen()) return;
+
+  const now = series[shown];
+  const nowEl = root.querySelector(".probe-now");
+  if (nowEl) {
+    nowEl.textContent =
+      now === null ? "radar indisponible" : `~${fmt(now)} mm/h (${rainClassLabel(now)}, radar ${fmtClock(frames[shown].time * 1000)})`;
   }
 
-  requestAnimationFrame(loopParticles);
+  const slot = root.querySelector(".popup-radar");
+  if (slot) slot.innerHTML = radarProbeHtml(series, shown);
+  popup.update();
 }
 
-/* Wind arrows */
-async function drawWindArrows() {
-  if (!map) return;
-  clearWindArrows();
+// Mini histogramme de l'intensité radar au point sur toutes les frames
+function radarProbeHtml(series, shown) {
+  const max = Math.max(2, ...series.map((v) => v || 0));
+  const bars = series
+    .map((v, i) => {
+      const h = v ? Math.max(8, (Math.log1p(v) / Math.log1p(max)) * 100) : 0;
+      const cls = ["probe-bar", i === shown ? "current" : "", i >= radarPastCount ? "future" : ""].join(" ");
+      const title = `${fmtClock(frames[i].time * 1000)} : ${v === null ? "—" : `${fmt(v)} mm/h`}`;
+      return `<span class="${cls}" title="${escapeHtml(title)}"><i style="height:${h}%;background:${v ? rainColor(v) : "transparent"}"></i></span>`;
+    })
+    .join("");
+
+  const t = (i) => fmtClock(frames[i].time * 1000);
+  return `
+    <div class="probe-title">Radar au point</div>
+    <div class="probe-bars">${bars}</div>
+    <div class="probe-axis"><span>${t(0)}</span><span>${t(radarNowIndex())}</span><span>${t(series.length - 1)}</span></div>
+  `;
+}
+
+/* ============
+   WIND: center + particles + arrows
+============ */
+const WIND_PARAMS = { current: ["windspeed_10m", "winddirection_10m"], timezone: "auto" };
+
+async function refreshCenterWind() {
+  if (!map) return;
+  const c = map.getCenter();
+  const w = await fetchPointWind(c.lat, c.lng, "center-wind");
+  if (w) windCenter = w;
+}
+
+async function fetchPointWind(lat, lon, group) {
+  try {
+    const data = await fetchForecastPoint(lat, lon, WIND_PARAMS, { group });
+    return windFromData(data);
+  } catch (err) {
+    if (!isAbortError(err)) console.error(err);
+    return null;
+  }
+}
+
+function windFromData(data) {
+  const spd = data?.current?.windspeed_10m;
+  const deg = data?.current?.winddirection_10m;
+  if (spd == null || deg == null) return null;
+
+  const toDeg = (deg + 180) % 360;
+  const toRad = (toDeg * Math.PI) / 180;
+
+  const u = Math.sin(toRad) * spd;
+  const v = Math.cos(toRad) * spd;
+
+  return { spd, deg, u, v };
+}
+
+/* Wind field: grid sampled over the current bounds (shared by particles + arrows) */
+function windFieldKey(b, nx, ny) {
+  return [b.getSouth(), b.getWest(), b.getNorth(), b.getEast()].map((x) => x.toFixed(3)).join(",") + `|${nx}x${ny}`;
+}
 
+async function ensureWindField() {
+  if (!map) return null;
   const b = map.getBounds();
   const nx = 9,
     ny = 6;
+  const key = windFieldKey(b, nx, ny);
+
+  if (windField?.key === key) return windField;
+  if (windFieldPending?.key === key) return windFieldPending.promise;
+
+  const promise = (async () => {
+    const pts = [];
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const lat = b.getSouth() + (b.getNorth() - b.getSouth()) * (y / (ny - 1));
+        const lon = b.getWest() + (b.getEast() - b.getWest()) * (x / (nx - 1));
+        pts.push({ lat, lon });
+      }
+    }
+
+    let list;
+    try {
+      list = await fetchForecast(pts, WIND_PARAMS, { group: "wind-field" });
+    } catch (err) {
+      if (!isAbortError(err)) console.error(err);
+      return null;
+    }
+    const cells = pts.map((p, i) => ({ ...p, ...(windFromData(list[i]) || windCenter) }));
+
+    const field = {
+      key,
+      south: b.getSouth(),
+      west: b.getWest(),
+      north: b.getNorth(),
+      east: b.getEast(),
+      nx,
+      ny,
+      cells,
+    };
+    // une vue plus récente a pu lancer sa propre grille entre-temps
+    if (windFieldPending?.key === key) {
+      windField = field;
+      windFieldPending = null;
+    }
+    return field;
+  })();
+
+  windFieldPending = { key, promise };
+  return promise;
+}
+
+// Interpolation bilinéaire (u, v) du champ ; vent du centre hors grille
+function sampleWindField(lat, lon) {
+  const f = windField;
+  if (!f) return windCenter;
+
+  const fx = clamp(((lon - f.west) / (f.east - f.west)) * (f.nx - 1), 0, f.nx - 1);
+  const fy = clamp(((lat - f.south) / (f.north - f.south)) * (f.ny - 1), 0, f.ny - 1);
+  const x0 = Math.min(Math.floor(fx), f.nx - 2);
+  const y0 = Math.min(Math.floor(fy), f.ny - 2);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  const c = (x, y) => f.cells[y * f.nx + x];
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const mix = (k) =>
+    lerp(lerp(c(x0, y0)[k], c(x0 + 1, y0)[k], tx), lerp(c(x0, y0 + 1)[k], c(x0 + 1, y0 + 1)[k], tx), ty);
+
+  const u = mix("u");
+  const v = mix("v");
+  return { u, v, spd: Math.hypot(u, v) };
+}
+
+/* Wind particles (subtle, anchored in lat/lon so they follow pan + zoom) */
+function startWindParticles() {
+  if (!windCanvas || !windCtx) return;
+  windRunning = true;
+  initParticles();
+  ensureWindField();
+  resumeWindParticles();
+}
+function stopWindParticles() {
+  windRunning = false;
+  pauseWindParticles();
+  windParticles = [];
+  clearCanvas();
+}
+function pauseWindParticles() {
+  if (windRaf) cancelAnimationFrame(windRaf);
+  windRaf = null;
+}
+function resumeWindParticles() {
+  if (!windRunning || windRaf || document.hidden) return;
+  windRaf = requestAnimationFrame(loopParticles);
+}
+function clearCanvas() {
+  if (!windCtx) return;
+  windCtx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+}
+function initParticles() {
+  windParticles = [];
+  const count = 650;
+  for (let i = 0; i < count; i++) windParticles.push(newParticle());
+}
+function newParticle() {
+  const ll = map.containerPointToLatLng([Math.random() * window.innerWidth, Math.random() * window.innerHeight]);
+  return { lat: ll.lat, lon: ll.lng, age: Math.random() * 120 };
+}
+// Longueur des traînées selon le zoom : courtes vue large, plus longues vue rapprochée
+function windTrailScale() {
+  return clamp(2 ** ((map.getZoom() - 8) / 3), 0.5, 1.8);
+}
+function loopParticles() {
+  windRaf = null;
+  if (!windRunning || !windCtx) return;
+
+  // pendant l'animation de zoom les projections sautent : on attend zoomend
+  if (windZooming) {
+    resumeWindParticles();
+    return;
+  }
+
+  windCtx.fillStyle = document.body.classList.contains("dark")
+    ? "rgba(0,0,0,0.10)"
+    : "rgba(255,255,255,0.10)";
+  windCtx.fillRect(0, 0, window.innerWidth, window.innerHeight);
+
+  windCtx.lineWidth = 1;
+
+  const trail = windTrailScale();
+  const W = window.innerWidth;
+  const H = window.innerHeight;
+
+  // un tracé par couleur (windColor a 4 paliers) plutôt qu'un stroke par particule
+  const paths = new Map();
+
+  for (const p of windParticles) {
+    const p0 = map.latLngToContainerPoint([p.lat, p.lon]);
+    const w = sampleWindField(p.lat, p.lon);
+    const speedFactor = clamp((w.spd || 0) / 25, 0.2, 2.6);
+
+    const x1 = p0.x + w.u * 0.07 * speedFactor * trail;
+    const y1 = p0.y + w.v * -0.07 * speedFactor * trail;
+    const ll = map.containerPointToLatLng([x1, y1]);
+    p.lat = ll.lat;
+    p.lon = ll.lng;
+
+    p.age++;
+
+    const color = windColor(w.spd || 0);
+    let path = paths.get(color);
+    if (!path) {
+      path = new Path2D();
+      paths.set(color, path);
+    }
+    path.moveTo(p0.x, p0.y);
+    path.lineTo(x1, y1);
+
+    if (x1 < 0 || x1 > W || y1 < 0 || y1 > H || p.age > 150) {
+      Object.assign(p, newParticle());
+    }
+  }
+
+  paths.forEach((path, color) => {
+    windCtx.strokeStyle = color;
+    windCtx.stroke(path);
+  });
+
+  resumeWindParticles();
+}
+
+/* Wind arrows */
+async function drawWindArrows() {
+  if (!map) return;
+
+  const field = await ensureWindField();
+  if (!field || field !== windField || !windArrowsToggle?.checked) return; // vue périmée
+
+  clearWindArrows();
+  windArrowLayer = L.layerGroup([], { pane: "windArrowPane" }).addTo(map);
+
+  field.cells.forEach((w) => {
+    const icon = arrowIcon(w.spd, w.deg, "wind");
+    L.marker([w.lat, w.lon], { icon, interactive: false, pane: "windArrowPane" }).addTo(windArrowLayer);
+  });
+}
+function clearWindArrows() {
+  if (windArrowLayer) {
+    map.removeLayer(windArrowLayer);
+    windArrowLayer = null;
+  }
+}
+
+/* ============
+   RADAR TILE PIXELS (decoded tiles for motion estimation)
+============ */
+const RADAR_TILE_CACHE_MAX = 160;
+const radarTileCache = new Map(); // url -> Promise<ImageData|null>
+
+function radarTileUrl(i, z, x, y) {
+  const tpl = buildRadarUrl(i);
+  if (!tpl) return null;
+  return tpl.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
+
+function loadRadarTilePixels(url) {
+  if (radarTileCache.has(url)) return radarTileCache.get(url);
+
+  const p = new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => {
+      try {
+        const c = document.createElement("canvas");
+        c.width = 256;
+        c.height = 256;
+        const ctx = c.getContext("2d", { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0, 256, 256);
+        resolve(ctx.getImageData(0, 0, 256, 256));
+      } catch (err) {
+        // canvas "tainted" si la tuile arrive sans CORS
+        console.warn("Radar tile decode error:", err);
+        resolve(null);
+      }
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+
+  radarTileCache.set(url, p);
+  if (radarTileCache.size > RADAR_TILE_CACHE_MAX) {
+    radarTileCache.delete(radarTileCache.keys().next().value);
+  }
+  return p;
+}
+
+// Intensité 0..1 d'un pixel radar (l'alpha suffit pour suivre les échos)
+function radarPixelIntensity(r, g, b, a) {
+  return a / 255;
+}
+
+// Assemble les tuiles [tx0..tx1] x [ty0..ty1] d'une frame en une grille d'intensité
+// decode(r, g, b, a) : intensité 0..1 par défaut, ou mm/h avec decodeRadarPixel
+async function loadRadarMosaic(i, z, tx0, ty0, tx1, ty1, decode = radarPixelIntensity) {
+  const n = 2 ** z;
+  const cols = tx1 - tx0 + 1;
+  const rows = ty1 - ty0 + 1;
+  const w = cols * 256;
+  const h = rows * 256;
+  const data = new Float32Array(w * h);
+
+  const jobs = [];
+  for (let ty = ty0; ty <= ty1; ty++) {
+    for (let tx = tx0; tx <= tx1; tx++) {
+      if (ty < 0 || ty >= n) continue;
+      const url = radarTileUrl(i, z, ((tx % n) + n) % n, ty);
+      if (!url) continue;
+      jobs.push(
+        loadRadarTilePixels(url).then((img) => {
+          if (!img) return;
+          const ox = (tx - tx0) * 256;
+          const oy = (ty - ty0) * 256;
+          const px = img.data;
+          for (let y = 0; y < 256; y++) {
+            const row = (oy + y) * w + ox;
+            for (let x = 0; x < 256; x++) {
+              const k = (y * 256 + x) * 4;
+              data[row + x] = decode(px[k], px[k + 1], px[k + 2], px[k + 3]);
+            }
+          }
+        })
+      );
+    }
+  }
+  await Promise.all(jobs);
+
+  return { z, ox: tx0 * 256, oy: ty0 * 256, w, h, data };
+}
+
+/* Block matching: où le bloc centré sur (cx, cy) dans "a" se retrouve-t-il dans "b" ? */
+function matchRadarBlock(a, b, cx, cy, half, radius) {
+  const step = 2;
+  const w = a.w;
+
+  let echo = 0;
+  let n = 0;
+  for (let y = -half; y <= half; y += step) {
+    for (let x = -half; x <= half; x += step) {
+      echo += a.data[(cy + y) * w + cx + x];
+      n++;
+    }
+  }
+  echo /= n;
+  if (echo < 0.04) return null;
+
+  let best = null;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      let sad = 0;
+      for (let y = -half; y <= half; y += step) {
+        const ra = (cy + y) * w + cx;
+        const rb = (cy + y + dy) * w + cx + dx;
+        for (let x = -half; x <= half; x += step) {
+          sad += Math.abs(a.data[ra + x] - b.data[rb + x]);
+        }
+      }
+      // léger biais vers les petits déplacements (évite les sauts sur zones uniformes)
+      sad += 0.002 * n * Math.hypot(dx, dy);
+      if (!best || sad < best.sad) best = { dx, dy, sad };
+    }
+  }
+
+  return { dx: best.dx, dy: best.dy, echo };
+}
+
+function radarPixelKm(lat, z) {
+  return (156543.03392 * Math.cos((lat * Math.PI) / 180)) / 2 ** z / 1000;
+}
+
+/* Champ de mouvement des pluies sur une grille nx x ny couvrant les bounds */
+async function estimateRainMotion(bounds, nx, ny) {
+  if (radarPastCount < 2) return null;
+
+  const iA = radarPastCount - 2;
+  const iB = radarPastCount - 1;
+  const dtH = (frames[iB].time - frames[iA].time) / 3600;
+  if (!(dtH > 0)) return null;
+
+  const half = 12;
+  const midLat = (bounds.getNorth() + bounds.getSouth()) / 2;
+
+  // zoom natif max du radar, réduit si la vue demande trop de tuiles
+  let z = clamp(Math.round(map.getZoom()), 3, 7);
+  let tiles;
+  let radius;
+  for (;;) {
+    radius = clamp(Math.ceil((110 * dtH) / radarPixelKm(midLat, z)), 2, 16);
+    const pad = half + radius + 1;
+    const nw = map.project(bounds.getNorthWest(), z);
+    const se = map.project(bounds.getSouthEast(), z);
+    tiles = {
+      tx0: Math.floor((nw.x - pad) / 256),
+      ty0: Math.floor((nw.y - pad) / 256),
+      tx1: Math.floor((se.x + pad) / 256),
+      ty1: Math.floor((se.y + pad) / 256),
+    };
+    const count = (tiles.tx1 - tiles.tx0 + 1) * (tiles.ty1 - tiles.ty0 + 1);
+    if (count <= 16 || z <= 3) break;
+    z--;
+  }
+
+  const [a, b] = await Promise.all([
+    loadRadarMosaic(iA, z, tiles.tx0, tiles.ty0, tiles.tx1, tiles.ty1),
+    loadRadarMosaic(iB, z, tiles.tx0, tiles.ty0, tiles.tx1, tiles.ty1),
+  ]);
+
+  const vectors = [];
+  for (let y = 0; y < ny; y++) {
+    for (let x = 0; x < nx; x++) {
+      const lat = bounds.getSouth() + (bounds.getNorth() - bounds.getSouth()) * (y / (ny - 1));
+      const lon = bounds.getWest() + (bounds.getEast() - bounds.getWest()) * (x / (nx - 1));
+
+      const p = map.project([lat, lon], z);
+      const cx = Math.round(p.x - a.ox);
+      const cy = Math.round(p.y - a.oy);
+
+      let m = null;
+      if (cx - half - radius >= 0 && cy - half - radius >= 0 && cx + half + radius < a.w && cy + half + radius < a.h) {
+        m = matchRadarBlock(a, b, cx, cy, half, radius);
+      }
+
+      if (!m) {
+        vectors.push({ lat, lon, echo: false });
+        continue;
+      }
+
+      const km = Math.hypot(m.dx, m.dy) * radarPixelKm(lat, z);
+      const degTo = ((Math.atan2(m.dx, -m.dy) * 180) / Math.PI + 360) % 360;
+      vectors.push({
+        lat,
+        lon,
+        echo: true,
+        spd: km / dtH,
+        deg: (degTo + 180) % 360, // convention "d'où ça vient", comme le vent
+        dx: m.dx / dtH, // px/h au zoom z
+        dy: m.dy / dtH,
+      });
+    }
+  }
+
+  return { z, time: frames[iB].time, vectors };
+}
+
+/* ============
+   RAIN DIRECTION (radar motion, wind proxy without echo)
+============ */
+async function drawRainDirection() {
+  if (!map) return;
+  const token = ++rainDirToken;
+
+  const b = map.getBounds();
+  const nx = 7,
+    ny = 5;
+
+  let motion = null;
+  try {
+    motion = await estimateRainMotion(b, nx, ny);
+  } catch (err) {
+    console.warn("Rain motion error:", err);
+  }
+  if (token !== rainDirToken) return; // vue changée entre-temps
+  if (!rainDirToggle?.checked) return;
+
+  rainMotion = motion;
+  clearRainDirection();
+  rainDirLayer = L.layerGroup([], { pane: "rainDirPane" }).addTo(map);
+
+  const pts = [];
+  if (motion) {
+    pts.push(...motion.vectors);
+  } else {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const lat = b.getSouth() + (b.getNorth() - b.getSouth()) * (y / (ny - 1));
+        const lon = b.getWest() + (b.getEast() - b.getWest()) * (x / (nx - 1));
+        pts.push({ lat, lon, echo: false });
+      }
+    }
+  }
+
+  pts.forEach((p) => {
+    const icon = p.echo
+      ? arrowIcon(p.spd, p.deg, "rain", `${Math.round(p.spd)} km/h`)
+      : arrowIcon(Math.max(10, windCenter.spd), windCenter.deg, "rain-proxy");
+    L.marker([p.lat, p.lon], { icon, interactive: false, pane: "rainDirPane" }).addTo(rainDirLayer);
+  });
+}
+function clearRainDirection() {
+  if (rainDirLayer) {
+    map.removeLayer(rainDirLayer);
+    rainDirLayer = null;
+  }
+}
+
+/* ============
+   RADAR NOWCAST AT A POINT (echoes extrapolated along the observed motion)
+============ */
+const NOWCAST_HORIZON_MIN = 120;
+const NOWCAST_STEP_MIN = 5;
+
+/**
+ * When does radar rain reach / leave the point?
+ * @returns {Promise<null|{startMin:number|null, endMin:number|null, raining:boolean, spd:number, deg:number}>}
+ *   null when the radar can't tell (not enough frames, tiles unreadable)
+ */
+async function radarNowcastAt(lat, lon) {
+  if (!map || radarPastCount < 2) return null;
+
+  const iA = radarPastCount - 2;
+  const iB = radarPastCount - 1;
+  const dtH = (frames[iB].time - frames[iA].time) / 3600;
+  if (!(dtH > 0)) return null;
+
+  // 3x3 tuiles au zoom natif autour du point : ~±300 km, assez pour 2 h d'amont
+  const z = 7;
+  const p = map.project([lat, lon], z);
+  const tx = Math.floor(p.x / 256);
+  const ty = Math.floor(p.y / 256);
+
+  const [a, b, rain] = await Promise.all([
+    loadRadarMosaic(iA, z, tx - 1, ty - 1, tx + 1, ty + 1),
+    loadRadarMosaic(iB, z, tx - 1, ty - 1, tx + 1, ty + 1),
+    loadRadarMosaic(iB, z, tx - 1, ty - 1, tx + 1, ty + 1, decodeRadarPixel),
+  ]);
+
+  // Mouvement moyen des échos autour du point (pondéré par la quantité d'écho)
+  const half = 16;
+  const radius = clamp(Math.ceil((110 * dtH) / radarPixelKm(lat, z)), 2, 16);
+  const pad = half + radius + 1;
+  let sx = 0,
+    sy = 0,
+    sw = 0;
+  for (let gy = 0; gy < 5; gy++) {
+    for (let gx = 0; gx < 5; gx++) {
+      const cx = Math.round(pad + ((a.w - 2 * pad - 1) * gx) / 4);
+      const cy = Math.round(pad + ((a.h - 2 * pad - 1) * gy) / 4);
+      const m = matchRadarBlock(a, b, cx, cy, half, radius);
+      if (!m) continue;
+      sx += m.dx * m.echo;
+      sy += m.dy * m.echo;
+      sw += m.echo;
+    }
+  }
+  if (!sw) return { startMin: null, endMin: null, raining: false, spd: 0, deg: 0 };
+
+  const vx = sx / sw / (dtH * 60); // px/min
+  const vy = sy / sw / (dtH * 60);
+
+  const cx = p.x - rain.ox;
+  const cy = p.y - rain.oy;
+  const sample = (x, y) => {
+    let best = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const xx = Math.round(x + dx),
+          yy = Math.round(y + dy);
+        if (xx < 0 || yy < 0 || xx >= rain.w || yy >= rain.h) return null;
+        best = Math.max(best, rain.data[yy * rain.w + xx]);
+      }
+    }
+    return best;
+  };
+
+  // l'image la plus récente date déjà de quelques minutes
+  const lagMin = (Date.now() / 1000 - frames[iB].time) / 60;
+
+  let startMin = null;
+  let endMin = null;
+  let dryRun = 0;
+  for (let t = 0; t <= NOWCAST_HORIZON_MIN; t += NOWCAST_STEP_MIN) {
+    const k = t + lagMin;
+    const v = sample(cx - vx * k, cy - vy * k);
+    if (v === null) break; // sorti de la zone chargée
+
+    if (v > 0) {
+      if (startMin === null) startMin = t;
+      dryRun = 0;
+    } else if (startMin !== null && endMin === null) {
+      dryRun += NOWCAST_STEP_MIN;
+      if (dryRun >= 10) endMin = t - dryRun + NOWCAST_STEP_MIN;
+    }
+    if (endMin !== null) break;
+  }
+
+  const km = Math.hypot(vx, vy) * 60 * radarPixelKm(lat, z);
+  const degTo = ((Math.atan2(vx, -vy) * 180) / Math.PI + 360) % 360;
+  return { startMin, endMin, raining: startMin === 0, spd: km, deg: (degTo + 180) % 360 };
+}
+
+/**
+ * Combine radar nowcast and model (minutely_15) into one ETA with a confidence hint.
+ * @returns {{etaMin:number|null, endMin:number|null, text:string, confidence:string}}
+ */
+function rainEtaSummary(radar, modelEv) {
+  const model = modelEv && modelEv.startMin !== null ? modelEv.startMin : null;
+  const r = radar ? radar.startMin : null;
+
+  let text;
+  if (radar && radar.raining) {
+    text = radar.endMin !== null ? `Pluie en cours, fin vers ~${radar.endMin} min` : "Pluie en cours";
+  } else if (r !== null) {
+    text = `Pluie dans ~${r} min` + (radar.endMin !== null ? ` (jusqu’à ~${radar.endMin} min)` : "");
+  } else if (model !== null) {
+    text = `Pluie dans ~${model} min (modèle)`;
+  } else {
+    text = "Pas de pluie attendue";
+  }
+
+  // Confiance : radar et modèle d'accord (±30 min) ou non
+  let confidence;
+  if (!radar) confidence = "modèle seul";
+  else if (r === null && (model === null || model > NOWCAST_HORIZON_MIN)) confidence = "bonne";
+  else if (r !== null && model !== null && Math.abs(r - model) <= 30) confidence = "bonne";
+  else if (r !== null && model !== null) confidence = `incertaine (modèle : ~${model} min)`;
+  else if (r !== null) confidence = "incertaine (le modèle ne prévoit rien)";
+  else confidence = `incertaine (modèle : ~${model} min, radar : rien)`;
+
+  return {
+    etaMin: r !== null ? r : model,
+    endMin: radar?.endMin ?? null,
+    text,
+    confidence,
+  };
+}
+
+async function fillRainEta(popup, lat, lon, modelEv) {
+  let radar = null;
+  try {
+    radar = await radarNowcastAt(lat, lon);
+  } catch (err) {
+    console.warn("Radar nowcast error:", err);
+  }
+
+  const el = popup.getElement()?.querySelector(".popup-eta");
+  if (!el || !popup.isOpen()) return;
+
+  const eta = rainEtaSummary(radar, modelEv);
+  el.innerHTML = `⏱️ <b>${escapeHtml(eta.text)}</b> <span class="eta-conf">· confiance ${escapeHtml(eta.confidence)}</span>`;
+  popup.update();
+}
+
+/* ============
+   ICONS
+============ */
+function arrowIcon(spd, degFrom, kind, label) {
+  const degTo = (degFrom + 180) % 360;
+  const size = 20;
+  const color =
+    kind === "rain" ? "rgba(77,166,255,0.95)" :
+    kind === "rain-proxy" ? "rgba(77,166,255,0.45)" :
+                            windColor(spd);
+  // ➤ pointe vers l'est au repos : -90° pour que 0° = nord
+  const html = `
+    <div style="
+      width:${size}px;height:${size}px;
+      transform: rotate(${degTo - 90}deg);
+      color:${color};
+      font-size:${size}px;
+      line-height:${size}px;
+      text-shadow:0 1px 2px rgba(0,0,0,.35);
+    ">➤</div>${label ? `<div class="arrow-label">${escapeHtml(label)}</div>` : ""}`;
+  return L.divIcon({ className: "", html, iconSize: [size, size], iconAnchor: [size / 2, size / 2] });
+}
+
+/* ============
+   SEARCH (geocoder provider)
+============ */
+function initSearchUI() {
+  let t = null;
+
+  citySearch?.addEventListener("input", () => {
+    const q = citySearch.value.trim();
+    if (t) clearTimeout(t);
+
+    if (!q || q.length < 3) {
+      hideResults();
+      return;
+    }
+    t = setTimeout(() => searchCity(q), 250);
+  });
+
+  document.addEventListener("click", (e) => {
+    if (!searchResults) return;
+    if (!searchResults.contains(e.target) && e.target !== citySearch) {
+      hideResults();
+    }
+  });
+}
+
+async function searchCity(q) {
+  if (!searchResults) return;
+  try {
+    const items = await providers.geocoder.search(q);
+    renderResults(items);
+  } catch (err) {
+    console.error(err);
+    hideResults();
+  }
+}
+
+function renderResults(items) {
+  if (!searchResults) return;
+  searchResults.innerHTML = "";
+  if (!items || !items.length) {
+    hideResults();
+    return;
+  }
+  items.forEach((it) => {
+    const div = document.createElement("div");
+    div.className = "search-item";
+    div.textContent = it.name;
+    div.addEventListener("click", () => {
+      goToLocation(it.lat, it.lon, it.name);
+      hideResults();
+    });
+    searchResults.appendChild(div);
+  });
+  searchResults.classList.remove("hidden");
+}
+function hideResults() {
+  searchResults?.classList.add("hidden");
+}
+
+/* ============
+   FAVORITES (unlimited; rename, reorder, icon + group, import/export)
+   rt_favs_v2 = [{ id, name, lat, lon, icon?, group? }, …] in display order
+============ */
+const FAV_ICONS = ["📍", "🏠", "🏢", "🎓", "🏫", "🚲", "⛰️", "🏖️", "⛺", "🌾", "⚓", "⭐"];
+const FAV_GROUPS = ["Maison", "Travail", "Loisirs", "Sites"];
+const FAV_DEDUP_KM = 0.3;
+const FAV_CHIPS_MAX = 6; // au-delà, un chip "+N" ouvre le gestionnaire
+
+addFavBtn?.addEventListener("click", async () => {
+  if (!map) return;
+  const c = map.getCenter();
+  const typed = citySearch?.value && citySearch.value.trim().length >= 3 ? citySearch.value.trim() : null;
+  const name =
+    typed ||
+    (await getCityName(c.lat, c.lng)) ||
+    `Favori ${new Date().toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit" })}`;
+
+  addFavorite({ name, lat: c.lat, lon: c.lng });
+});
+
+function favId() {
+  return `f${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function getFavs() {
+  try {
+    const favs = JSON.parse(localStorage.getItem(FAV_KEY) || "[]");
+    if (favs.every((f) => f.id)) return favs;
+
+    // anciennes entrées sans id : on les enregistre tout de suite, sinon chaque lecture en tirerait d'autres
+    const withIds = favs.map((f) => (f.id ? f : { ...f, id: favId() }));
+    setFavs(withIds);
+    return withIds;
+  } catch {
+    return [];
+  }
+}
+function setFavs(favs) {
+  localStorage.setItem(FAV_KEY, JSON.stringify(favs));
+}
+
+function findFavNear(favs, lat, lon) {
+  return favs.find((x) => distKm(x.lat, x.lon, lat, lon) <= FAV_DEDUP_KM);
+}
+
+function addFavorite(f) {
+  const favs = getFavs();
+  const dup = findFavNear(favs, f.lat, f.lon);
+  const entry = { icon: "📍", group: "", ...dup, ...f, id: dup?.id || favId() };
+  setFavs([entry, ...favs.filter((x) => x !== dup)]);
+  renderFavs();
+  refreshFavManager();
+
+  pushToast({
+    icon: entry.icon,
+    title: dup ? "Favori mis à jour" : "Ajouté aux favoris",
+    message: entry.name,
+    time: "À l’instant",
+    actionText: "Renommer",
+    onAction: () => openFavManager(entry.id),
+  });
+}
+
+function removeFavorite(id) {
+  setFavs(getFavs().filter((x) => x.id !== id));
+  renderFavs();
+  refreshFavManager();
+}
+
+function updateFavorite(id, patch) {
+  setFavs(getFavs().map((x) => (x.id === id ? { ...x, ...patch } : x)));
+  renderFavs();
+}
+
+function moveFavorite(id, beforeId) {
+  const favs = getFavs();
+  const item = favs.find((x) => x.id === id);
+  if (!item || id === beforeId) return;
+
+  const rest = favs.filter((x) => x.id !== id);
+  const at = beforeId ? rest.findIndex((x) => x.id === beforeId) : -1;
+  rest.splice(at < 0 ? rest.length : at, 0, item);
+  setFavs(rest);
+  renderFavs();
+  refreshFavManager();
+}
+
+function renderFavs() {
+  if (!favList) return;
+  const favs = getFavs();
+  const st = getAlertState();
+  favList.innerHTML = "";
+
+  const bell = (on) =>
+    `<span class="bell${on ? "" : " off"}" title="${on ? "Alertes activées" : "Alertes désactivées"}">${
+      on ? "🔔" : "🔕"
+    }</span>`;
+
+  if (geoPosition) {
+    const on = st.geo !== false;
+    const chip = document.createElement("div");
+    chip.className = "fav-chip geo";
+    chip.innerHTML = `<span>📍 Ma position</span>${bell(on)}`;
+    chip.addEventListener("click", (e) => {
+      if (e.target?.classList?.contains("bell")) {
+        setGeoAlertEnabled(!on);
+        e.stopPropagation();
+        return;
+      }
+      goToLocation(geoPosition.lat, geoPosition.lon, "Ma position");
+    });
+    favList.appendChild(chip);
+  }
+
+  favs.slice(0, FAV_CHIPS_MAX).forEach((f) => {
+    const on = isAlertEnabled(st, alertLocKey(f.lat, f.lon));
+    const chip = document.createElement("div");
+    chip.className = "fav-chip";
+    chip.title = f.group ? `${f.name} — ${f.group}` : f.name;
+    chip.innerHTML = `<span>${escapeHtml(f.icon || "📍")} ${escapeHtml(shortName(f.name))}</span><small>${f.lat.toFixed(
+      2
+    )}, ${f.lon.toFixed(2)}</small>${bell(on)}<span class="x">✕</span>`;
+
+    chip.addEventListener("click", (e) => {
+      const cls = e.target?.classList;
+      if (cls?.contains("x")) {
+        removeFavorite(f.id);
+        e.stopPropagation();
+        return;
+      }
+      if (cls?.contains("bell")) {
+        setAlertEnabled(f.lat, f.lon, !on);
+        e.stopPropagation();
+        return;
+      }
+      goToLocation(f.lat, f.lon, f.name);
+    });
+
+    favList.appendChild(chip);
+  });
+
+  if (favs.length > FAV_CHIPS_MAX) {
+    const more = document.createElement("div");
+    more.className = "fav-chip more";
+    more.textContent = `+${favs.length - FAV_CHIPS_MAX}`;
+    more.title = "Tous les favoris";
+    more.addEventListener("click", () => openFavManager());
+    favList.appendChild(more);
+  }
+}
+
+/* ---- manager panel ---- */
+function initFavManager() {
+  if (favPanelEl) {
+    L.DomEvent.disableClickPropagation(favPanelEl);
+    L.DomEvent.disableScrollPropagation(favPanelEl);
+  }
+  if (favGroupsList) favGroupsList.innerHTML = FAV_GROUPS.map((g) => `<option value="${escapeHtml(g)}"></option>`).join("");
+
+  favManageBtn?.addEventListener("click", () => {
+    if (favPanelEl?.classList.contains("hidden")) openFavManager();
+    else closeFavManager();
+  });
+  favCloseBtn?.addEventListener("click", closeFavManager);
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !favPanelEl?.classList.contains("hidden")) closeFavManager();
+  });
+
+  favExportJsonBtn?.addEventListener("click", () =>
+    downloadFile("rain-today-favoris.json", JSON.stringify({ version: 1, favorites: getFavs() }, null, 2), "application/json")
+  );
+  favExportGeoBtn?.addEventListener("click", () =>
+    downloadFile("rain-today-favoris.geojson", JSON.stringify(favsToGeoJson(getFavs()), null, 2), "application/geo+json")
+  );
+
+  favImportInput?.addEventListener("change", async () => {
+    const file = favImportInput.files?.[0];
+    favImportInput.value = "";
+    if (!file) return;
+    try {
+      const { added, updated } = importFavs(parseFavFile(JSON.parse(await file.text())));
+      pushToast({
+        icon: "⭐",
+        title: "Favoris importés",
+        message: `${added} ajouté(s), ${updated} mis à jour`,
+        time: file.name,
+      });
+    } catch (err) {
+      console.error(err);
+      pushToast({ icon: "⚠️", title: "Import impossible", message: err.message, time: file.name });
+    }
+  });
+}
+
+// Renommage, icône, groupe : la liste reste en place (pas de perte de focus) ; le reste la redessine
+function refreshFavManager() {
+  if (!favPanelEl?.classList.contains("hidden")) renderFavManager();
+}
+
+function openFavManager(focusId) {
+  closeDetails();
+  closeRoutePanel();
+  favPanelEl?.classList.remove("hidden");
+  renderFavManager();
+  if (focusId) favManagerListEl?.querySelector(`[data-id="${focusId}"] .fav-name`)?.select();
+}
+
+function closeFavManager() {
+  favPanelEl?.classList.add("hidden");
+}
+
+function renderFavManager() {
+  if (!favManagerListEl) return;
+  const favs = getFavs();
+
+  if (!favs.length) {
+    favManagerListEl.innerHTML = `<div class="details-loading">Aucun favori. Centrez la carte puis « ⭐ Ajouter favori », ou importez un fichier.</div>`;
+    return;
+  }
+
+  favManagerListEl.innerHTML = favs
+    .map(
+      (f) => `
+        <div class="fav-row" draggable="true" data-id="${escapeHtml(f.id)}">
+          <span class="fav-drag" title="Glisser pour réordonner">⋮⋮</span>
+          <select class="select fav-icon" aria-label="Icône">
+            ${FAV_ICONS.map((i) => `<option${i === (f.icon || "📍") ? " selected" : ""}>${i}</option>`).join("")}
+          </select>
+          <input class="input-num fav-name" value="${escapeHtml(f.name)}" aria-label="Nom" />
+          <input class="input-num fav-group" list="favGroups" value="${escapeHtml(f.group || "")}" placeholder="Groupe" aria-label="Groupe" />
+          <button class="btn fav-go" type="button" title="Voir">🎯</button>
+          <button class="btn fav-del" type="button" title="Supprimer">✕</button>
+        </div>`
+    )
+    .join("");
+
+  favManagerListEl.querySelectorAll(".fav-row").forEach((row) => {
+    const id = row.dataset.id;
+    const f = favs.find((x) => x.id === id);
+
+    row.querySelector(".fav-icon").addEventListener("change", (e) => updateFavorite(id, { icon: e.target.value }));
+    row.querySelector(".fav-name").addEventListener("change", (e) => {
+      const name = e.target.value.trim();
+      if (name) updateFavorite(id, { name });
+      else e.target.value = f.name;
+    });
+    row.querySelector(".fav-group").addEventListener("change", (e) => updateFavorite(id, { group: e.target.value.trim() }));
+    row.querySelector(".fav-go").addEventListener("click", () => goToLocation(f.lat, f.lon, f.name));
+    row.querySelector(".fav-del").addEventListener("click", () => removeFavorite(id));
+
+    // glisser-déposer : on insère avant la ligne survolée (ou en fin de liste sous sa moitié basse)
+    row.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("text/plain", id);
+      e.dataTransfer.effectAllowed = "move";
+      row.classList.add("dragging");
+    });
+    row.addEventListener("dragend", () => row.classList.remove("dragging"));
+    row.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      row.classList.add("drop-target");
+    });
+    row.addEventListener("dragleave", () => row.classList.remove("drop-target"));
+    row.addEventListener("drop", (e) => {
+      e.preventDefault();
+      row.classList.remove("drop-target");
+      const dragged = e.dataTransfer.getData("text/plain");
+      // offsetY serait relatif au champ survolé (select, input), pas à la ligne
+      const below = e.clientY - row.getBoundingClientRect().top > row.offsetHeight / 2;
+      const next = below ? row.nextElementSibling?.dataset.id || null : id;
+      moveFavorite(dragged, next);
+    });
+  });
+}
+
+/* ---- import / export ---- */
+function favsToGeoJson(favs) {
+  return {
+    type: "FeatureCollection",
+    features: favs.map((f) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [f.lon, f.lat] },
+      properties: { name: f.name, icon: f.icon || "📍", group: f.group || "" },
+    })),
+  };
+}
+
+// Longitude ramenée dans [-180, 180] (fichiers exportés depuis une carte "déroulée")
+function wrapLon(lon) {
+  return lon >= -180 && lon <= 180 ? lon : ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+// { version, favorites: [...] }, tableau brut, ou GeoJSON (Point)
+function parseFavFile(json) {
+  let list;
+  if (json?.type === "FeatureCollection" || json?.type === "Feature") {
+    const feats = json.type === "Feature" ? [json] : json.features || [];
+    list = feats
+      .filter((ft) => ft?.geometry?.type === "Point")
+      .map((ft) => ({
+        ...(ft.properties || {}),
+        lat: ft.geometry.coordinates[1],
+        lon: ft.geometry.coordinates[0],
+      }));
+  } else {
+    list = Array.isArray(json) ? json : json?.favorites;
+  }
+  if (!Array.isArray(list)) throw new Error("Format non reconnu (JSON de favoris ou GeoJSON)");
+
+  return list
+    .map((f) => ({
+      name: String(f.name || f.title || "").trim(),
+      lat: parseFloat(f.lat),
+      lon: parseFloat(f.lon ?? f.lng),
+      icon: FAV_ICONS.includes(f.icon) ? f.icon : "📍",
+      group: String(f.group || "").trim(),
+    }))
+    .filter((f) => Number.isFinite(f.lat) && Number.isFinite(f.lon) && Math.abs(f.lat) <= 90)
+    .map((f) => ({ ...f, lon: wrapLon(f.lon) }))
+    .map((f) => ({ ...f, name: f.name || `${f.lat.toFixed(3)}, ${f.lon.toFixed(3)}` }));
+}
+
+// Fusion : un site déjà présent (même endroit) est mis à jour, sinon ajouté en fin de liste
+function importFavs(list) {
+  const favs = getFavs();
+  let added = 0;
+  let updated = 0;
+
+  list.forEach((f) => {
+    const dup = findFavNear(favs, f.lat, f.lon);
+    if (dup) {
+      Object.assign(dup, { name: f.name, icon: f.icon, group: f.group });
+      updated++;
+    } else {
+      favs.push({ ...f, id: favId() });
+      added++;
+    }
+  });
+
+  setFavs(favs);
+  renderFavs();
+  refreshFavManager();
+  return { added, updated };
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ============
+   NAVIGATION
+============ */
+async function goToLocation(lat, lon, label) {
+  if (!map) return;
+  map.setView([lat, lon], Math.max(map.getZoom(), 8), { animate: true });
+
+  if (userMarker) userMarker.setLatLng([lat, lon]);
+  if (citySearch) citySearch.value = label || "";
+  setSummaryPlace(lat, lon, label ? shortName(label) : null);
+
+  await refreshCenterWind();
+  if (rainDirToggle?.checked) drawRainDirection();
+  if (windArrowsToggle?.checked) drawWindArrows();
+
+  pushToast({
+    icon: "📍",
+    title: "Position mise à jour",
+    message: label ? label : `${lat.toFixed(3)}, ${lon.toFixed(3)}`,
+    time: "À l’instant",
+    actionText: "Météo",
+    onAction: () => onMapClick({ lat, lng: lon }),
+  });
+}
+
+/* ============
+   TODAY CARD ("Va-t-il pleuvoir aujourd'hui ?")
+============ */
+const TODAY_PARAMS = {
+  minutely_15: "precipitation",
+  hourly: ["precipitation", "precipitation_probability"],
+  daily: "precipitation_sum",
+  forecast_days: 2,
+  timezone: "auto",
+};
+
+// Une heure compte comme pluvieuse au-delà de ces seuils
+const WET_MM = 0.2;
+const WET_PROB = 60;
+
+const DAY_PARTS = [
+  { name: "la nuit", from: 0, to: 6 },
+  { name: "la matinée", from: 6, to: 12 },
+  { name: "l’après-midi", from: 12, to: 18 },
+  { name: "la soirée", from: 18, to: 24 },
+];
+
+function setSummaryPlace(lat, lon, label) {
+  summaryPlace = { lat, lon, label };
+  refreshTodayCard();
+}
+
+async function refreshTodayCard() {
+  if (!todayCardEl || !summaryPlace) return;
+  const place = summaryPlace;
+
+  let data;
+  try {
+    data = await fetchForecastPoint(place.lat, place.lon, TODAY_PARAMS, { group: "today" });
+  } catch (err) {
+    if (!isAbortError(err)) console.error(err);
+    return;
+  }
+  if (place !== summaryPlace) return;
+
+  const day = todayForecast(data);
+  todayCardEl.innerHTML = todayCardHtml(place, day);
+  todayCardEl.classList.remove("hidden");
+  updateSparkMarkers();
+}
+
+/* Heures restantes d'aujourd'hui (heure locale du lieu) + cumul du jour */
+function todayForecast(data) {
+  const offset = (data?.utc_offset_seconds || 0) * 1000;
+  const today = new Date(Date.now() + offset).toISOString().slice(0, 10);
+  const h = data?.hourly || {};
+  const now = Date.now();
+
+  const hours = [];
+  (h.time || []).forEach((t, i) => {
+    if (!t.startsWith(today)) return;
+    if (omTimeMs(data, t) + 3600000 <= now) return; // heure déjà passée
+    const mm = h.precipitation?.[i] ?? 0;
+    const prob = h.precipitation_probability?.[i] ?? 0;
+    hours.push({ hour: parseInt(t.slice(11, 13), 10), mm, prob, wet: mm >= WET_MM || prob >= WET_PROB });
+  });
+
+  const dIdx = (data?.daily?.time || []).indexOf(today);
+  const dayTotal = dIdx >= 0 ? data.daily.precipitation_sum?.[dIdx] : null;
+  const restTotal = hours.reduce((a, x) => a + x.mm, 0);
+
+  const next2h = omStepsFromNow(data, "minutely_15", "precipitation").slice(0, 8);
+
+  return { hours, dayTotal, restTotal, next2h };
+}
+
+// Plages pluvieuses contiguës : [{ from, to }] (to = heure de fin, exclue)
+function wetPeriods(hours) {
+  const out = [];
+  hours.forEach((x) => {
+    if (!x.wet) return;
+    const last = out[out.length - 1];
+    if (last && last.to === x.hour) last.to = x.hour + 1;
+    else out.push({ from: x.hour, to: x.hour + 1 });
+  });
+  return out;
+}
+
+function hh(h) {
+  return `${String(h % 24).padStart(2, "0")}:00`;
+}
+
+// Réponse en clair : sec / pluie de 14:00 à 16:00 / averses tout l'après-midi…
+function todayAnswer(hours) {
+  if (!hours.length) return { icon: "🌙", text: "Journée terminée" };
+
+  const periods = wetPeriods(hours);
+  if (!periods.length) return { icon: "☀️", text: "Sec — pas de pluie prévue aujourd’hui" };
+
+  const nowHour = hours[0].hour;
+
+  // Averses réparties sur une bonne partie d'un moment de la journée
+  if (periods.length >= 2) {
+    for (const part of DAY_PARTS) {
+      const inPart = hours.filter((x) => x.hour >= part.from && x.hour < part.to);
+      const wet = inPart.filter((x) => x.wet).length;
+      const covering = periods.every((p) => p.from >= part.from && p.to <= part.to);
+      if (inPart.length >= 3 && covering && wet / inPart.length >= 0.4) {
+        return { icon: "🌦️", text: `Averses toute ${part.name}` };
+      }
+    }
+  }
+
+  const describe = (p) =>
+    p.from <= nowHour ? `pluie en cours jusqu’à ${hh(p.to)}` : `pluie de ${hh(p.from)} à ${hh(p.to)}`;
+
+  const first = describe(periods[0]);
+  let text = first.charAt(0).toUpperCase() + first.slice(1);
+  if (periods.length === 2) text += `, puis de ${hh(periods[1].from)} à ${hh(periods[1].to)}`;
+  if (periods.length > 2) text += `, puis ${periods.length - 1} autres averses`;
+  return { icon: "🌧️", text };
+}
+
+function todayCardHtml(place, day) {
+  const answer = todayAnswer(day.hours);
+  const title = place.label ? escapeHtml(place.label) : `${place.lat.toFixed(2)}, ${place.lon.toFixed(2)}`;
+
+  const strip = day.hours
+    .map((x) => {
+      const title = `${hh(x.hour)} : ${x.prob}% • ${fmt(x.mm)} mm`;
+      return `
+        <div class="hour${x.wet ? " wet" : ""}" title="${escapeHtml(title)}">
+          <div class="bar"><i style="height:${clamp(x.prob, 0, 100)}%"></i></div>
+          <div class="p">${x.prob}%</div>
+          <div class="h">${x.hour}h</div>
+        </div>`;
+    })
+    .join("");
+
+  const total =
+    day.dayTotal !== null && day.dayTotal !== undefined
+      ? `Cumul du jour ~${fmt(day.dayTotal)} mm` + (day.hours.length ? ` (dont ~${fmt(day.restTotal)} mm à venir)` : "")
+      : "";
+
+  return `
+    <div class="today-head">
+      <div class="today-icon">${answer.icon}</div>
+      <div>
+        <div class="today-title">Pluie aujourd’hui ? — ${title}</div>
+        <div class="today-answer">${escapeHtml(answer.text)}</div>
+        <div class="today-total">${escapeHtml(total)}</div>
+      </div>
+    </div>
+    <div class="today-strip">${strip}</div>
+    <div class="today-sub">Prochaines 2 h (pluie par 15 min)</div>
+    ${sparkline15Html(day.next2h)}
+  `;
+}
+
+/* ============
+   NEXT 2 H SPARKLINE (minutely_15, synced with the radar timeline)
+============ */
+const SPARK_STEP_MS = 15 * 60 * 1000;
+
+/* Barres SVG par pas de 15 min ; data-t0/t1 permettent de placer le repère du slider */
+function sparkline15Html(steps) {
+  if (!steps || !steps.length) return `<div class="spark-empty">Pas de données minute par minute</div>`;
+
+  const W = 240,
+    H = 40;
+  const bw = W / steps.length;
+  const max = Math.max(1, ...steps.map((x) => x.v));
+  const t0 = steps[0].t;
+  const t1 = steps[steps.length - 1].t + SPARK_STEP_MS;
+
+  const bars = steps
+    .map((x, i) => {
+      if (x.v <= 0) return "";
+      const h = Math.max(2, (x.v / max) * (H - 4));
+      const title = `${fmtClock(x.t)} : ${fmt(x.v)} mm`;
+      return `<rect x="${(i * bw + 1).toFixed(1)}" y="${(H - h).toFixed(1)}" width="${(bw - 2).toFixed(1)}" height="${h.toFixed(
+        1
+      )}" rx="2" fill="${rainColor(x.v * 4)}"><title>${escapeHtml(title)}</title></rect>`;
+    })
+    .join("");
+
+  const total = steps.reduce((a, x) => a + x.v, 0);
+  const labels = [0, 4, 8]
+    .filter((i) => i <= steps.length)
+    .map((i) => `<span>${fmtClock(t0 + i * SPARK_STEP_MS)}</span>`)
+    .join("");
+
+  return `
+    <div class="spark" data-t0="${t0}" data-t1="${t1}" title="Cliquer pour caler le radar sur cette heure">
+      <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" aria-hidden="true">
+        <line x1="0" y1="${H - 0.5}" x2="${W}" y2="${H - 0.5}" class="spark-base" />
+        ${bars}
+        <line class="spark-marker" x1="0" y1="0" x2="0" y2="${H}" />
+      </svg>
+      <div class="spark-axis">${labels}</div>
+      <div class="spark-total">${total > 0 ? `~${fmt(total)} mm en 2 h` : "Sec sur 2 h"}</div>
+    </div>
+  `;
+}
+
+// Place le repère de l'heure radar affichée sur toutes les sparklines visibles
+function updateSparkMarkers() {
+  if (!frames.length) return;
+  const t = frames[frameIndex].time * 1000;
+
+  document.querySelectorAll(".spark[data-t0]").forEach((el) => {
+    const t0 = Number(el.dataset.t0);
+    const t1 = Number(el.dataset.t1);
+    const marker = el.querySelector(".spark-marker");
+    if (!marker) return;
+
+    const inside = t >= t0 && t <= t1;
+    const x = (clamp((t - t0) / (t1 - t0), 0, 1) * 240).toFixed(1);
+    marker.setAttribute("x1", x);
+    marker.setAttribute("x2", x);
+    marker.classList.toggle("hidden", !inside);
+  });
+}
+
+// Clic sur une sparkline -> frame radar la plus proche de cette heure
+function initSparkSync() {
+  document.addEventListener("click", (e) => {
+    const el = e.target.closest?.(".spark[data-t0]");
+    if (!el || !frames.length) return;
+
+    const r = el.querySelector("svg").getBoundingClientRect();
+    const f = clamp((e.clientX - r.left) / r.width, 0, 1);
+    const t = Number(el.dataset.t0) + f * (Number(el.dataset.t1) - Number(el.dataset.t0));
+
+    let best = 0;
+    frames.forEach((fr, i) => {
+      if (Math.abs(fr.time * 1000 - t) < Math.abs(frames[best].time * 1000 - t)) best = i;
+    });
+    stopAnim();
+    goToFrame(best);
+  });
+}
+
+/* ============
+   GRID OVERLAYS (forecast sampled over the view, drawn as a smoothed image)
+   One definition per layer:
+   { id, toggle, pane, zIndex, params, opacity, value(data, tMs) -> number|null, color(v) -> "#rrggbb"|null }
+   optional: source ("airQuality"), fetch(points), visible(), render(ov, values, tMs), clear(ov), alpha(v) -> 0…1,
+             legend: { title, items: [[color, label]] } -> its own column in .legend while on;
+             opacity may be a function.
+   The grid follows the view (moveend) and the time follows the timeline.
+============ */
+const GRID_NX = 16;
+const GRID_NY = 11;
+const gridOverlays = [];
+
+function registerGridOverlay(def) {
+  const ov = { opacity: 0.6, ...def, grid: null, pending: null, layer: null };
+  gridOverlays.push(ov);
+  return ov;
+}
+
+// Heure affichée par la timeline (maintenant si pas de frames)
+function gridOverlayTime() {
+  return frames[frameIndex] ? frames[frameIndex].time * 1000 : Date.now();
+}
+
+function initGridOverlays() {
+  gridOverlays.forEach((ov) => {
+    if (!map.getPane(ov.pane)) {
+      map.createPane(ov.pane);
+      map.getPane(ov.pane).style.zIndex = ov.zIndex;
+      map.getPane(ov.pane).style.pointerEvents = "none";
+    }
+
+    if (ov.legend) ov.legendEl = addGridLegend(ov);
+
+    ov.toggle?.addEventListener("change", () => {
+      ov.legendEl?.classList.toggle("hidden", !ov.toggle.checked);
+      if (ov.toggle.checked) refreshGridOverlay(ov);
+      else clearGridOverlay(ov);
+    });
+  });
+
+  map.on("moveend", () => refreshGridOverlays());
+  refreshGridOverlays();
+}
+
+function addGridLegend(ov) {
+  if (!legendEl) return null;
+  const col = document.createElement("div");
+  col.className = "legend-col";
+  col.classList.toggle("hidden", !ov.toggle?.checked);
+  col.innerHTML =
+    `<div class="legend-title">${escapeHtml(ov.legend.title)}</div>` +
+    ov.legend.items
+      .map(([color, label]) => `<div><span class="swatch" style="background:${color}"></span> ${escapeHtml(label)}</div>`)
+      .join("");
+  legendEl.appendChild(col);
+  return col;
+}
+
+function refreshGridOverlays() {
+  gridOverlays.forEach((ov) => {
+    if (ov.toggle?.checked && gridOverlayVisible(ov)) refreshGridOverlay(ov);
+  });
+}
+
+// Changement d'heure : on redessine ; une couche qui redevient visible après un déplacement recharge sa grille
+function renderGridOverlays() {
+  if (!map) return;
+  gridOverlays.forEach((ov) => {
+    if (!ov.toggle?.checked) return;
+    if (!gridOverlayVisible(ov)) clearGridOverlay(ov);
+    else if (ov.grid?.key !== windFieldKey(map.getBounds(), GRID_NX, GRID_NY)) refreshGridOverlay(ov);
+    else renderGridOverlay(ov);
+  });
+}
+
+// visible(): certaines couches ne s'affichent que sur une partie de la timeline
+function gridOverlayVisible(ov) {
+  return !ov.visible || ov.visible();
+}
+
+async function refreshGridOverlay(ov) {
+  const b = map.getBounds();
+  const key = windFieldKey(b, GRID_NX, GRID_NY);
+  if (ov.grid?.key !== key) {
+    if (ov.pending === key) return; // déjà en route, elle se dessinera à l'arrivée
+    ov.pending = key;
+
+    const pts = [];
+    for (let y = 0; y < GRID_NY; y++) {
+      for (let x = 0; x < GRID_NX; x++) {
+        pts.push({
+          lat: b.getSouth() + (b.getNorth() - b.getSouth()) * (y / (GRID_NY - 1)),
+          lon: b.getWest() + (b.getEast() - b.getWest()) * (x / (GRID_NX - 1)),
+        });
+      }
+    }
+
+    let list;
+    try {
+      list = await (ov.fetch
+        ? ov.fetch(pts)
+        : fetchForecast(pts, ov.params, { group: `grid-${ov.id}`, source: ov.source }));
+    } catch (err) {
+      if (!isAbortError(err)) console.error(err);
+      if (ov.pending === key) ov.pending = null; // sinon cette vue ne serait plus jamais redemandée
+      return;
+    }
+    // une vue plus récente a pu lancer sa propre grille entre-temps
+    if (ov.pending !== key) return;
+    ov.pending = null;
+    ov.grid = { key, bounds: b, list };
+  }
+
+  if (ov.toggle?.checked && gridOverlayVisible(ov)) renderGridOverlay(ov);
+}
+
+// Une image GRID_NX x GRID_NY (1 px par point), lissée par le navigateur à l'affichage.
+// Les bords sont étendus d'une demi-maille pour que chaque pixel soit centré sur son point.
+function renderGridOverlay(ov) {
+  const { bounds: b, list } = ov.grid;
+  const tMs = gridOverlayTime();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = GRID_NX;
+  canvas.height = GRID_NY;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(GRID_NX, GRID_NY);
+
+  const values = list.map((data) => (data ? ov.value(data, tMs) : null));
+  values.forEach((v, i) => {
+    const color = v === null || v === undefined ? null : ov.color(v);
+    if (!color) return;
+    const x = i % GRID_NX;
+    const y = GRID_NY - 1 - Math.floor(i / GRID_NX); // nord en haut
+    const o = (y * GRID_NX + x) * 4;
+    const [r, g, bl] = hexToRgb(color);
+    img.data[o] = r;
+    img.data[o + 1] = g;
+    img.data[o + 2] = bl;
+    img.data[o + 3] = ov.alpha ? Math.round(clamp(ov.alpha(v), 0, 1) * 255) : 255;
+  });
+  ctx.putImageData(img, 0, 0);
+
+  const dLat = (b.getNorth() - b.getSouth()) / (GRID_NY - 1) / 2;
+  const dLon = (b.getEast() - b.getWest()) / (GRID_NX - 1) / 2;
+  const imgBounds = [
+    [b.getSouth() - dLat, b.getWest() - dLon],
+    [b.getNorth() + dLat, b.getEast() + dLon],
+  ];
+
+  const url = canvas.toDataURL();
+  const opacity = typeof ov.opacity === "function" ? ov.opacity() : ov.opacity;
+  if (ov.layer) {
+    ov.layer.setUrl(url);
+    ov.layer.setBounds(L.latLngBounds(imgBounds));
+    ov.layer.setOpacity(opacity);
+  } else {
+    ov.layer = L.imageOverlay(url, imgBounds, {
+      pane: ov.pane,
+      opacity,
+      className: "grid-overlay",
+    }).addTo(map);
+  }
+
+  ov.render?.(ov, values, tMs);
+}
+
+function clearGridOverlay(ov) {
+  if (ov.layer) {
+    map.removeLayer(ov.layer);
+    ov.layer = null;
+  }
+  ov.clear?.(ov);
+}
+
+/* ============
+   MODEL RAIN (timeline beyond the radar nowcast)
+   Hourly Open-Meteo precipitation over the view, same pane and palette as the radar,
+   shown only while the timeline is on a { model: true } frame.
+============ */
+registerGridOverlay({
+  id: "model-rain",
+  toggle: radarToggle,
+  pane: "radarPane",
+  params: { hourly: "precipitation", forecast_days: 2, timezone: "auto" },
+  opacity: () => radarSettings.opacity,
+  visible: () => isModelFrame(frameIndex),
+  value: (data, tMs) => omValueAt(data, "hourly", "precipitation", tMs),
+  color: (mm) => (mm >= 0.1 ? rainColor(mm) : null),
+});
+
+/* ============
+   SNOW OVERLAY (Open-Meteo snowfall, cm/h, "Neige" legend colors)
+============ */
+const SNOW_CLASSES = [
+  { max: 0.2, color: "#d8f3ff" }, // snow-0
+  { max: 1, color: "#a6dfff" }, // snow-1
+  { max: 3, color: "#66c7ff" }, // snow-2
+  { max: Infinity, color: "#1aa3ff" }, // snow-3
+];
+
+function snowColor(cmH) {
+  if (!(cmH > 0.01)) return null;
+  return SNOW_CLASSES.find((c) => cmH < c.max).color;
+}
+
+registerGridOverlay({
+  id: "snow",
+  toggle: snowToggle,
+  pane: "snowPane",
+  zIndex: 505,
+  params: { hourly: "snowfall", forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => omValueAt(data, "hourly", "snowfall", tMs),
+  color: snowColor,
+});
+
+/* ============
+   STORM RISK OVERLAY (CAPE, lifted index, precipitation probability)
+============ */
+const STORM_COLORS = ["#ffd1f3", "#ff66d9", "#c000ff"]; // storm-0 faible, storm-1 moyen, storm-2 élevé
+const STORM_WINDOW_MS = 2 * 3600 * 1000; // risque max sur les 2 h qui suivent l'heure affichée
+
+/**
+ * Storm risk level at one time step.
+ * @returns {number} 0 none, 1 faible, 2 moyen, 3 élevé
+ */
+function stormRiskLevel({ cape, li, pop, code }) {
+  if (code === 96 || code === 99) return 3;
+
+  // instabilité de l'air : énergie convective (J/kg) et indice de soulèvement (°C)
+  let level = 0;
+  if (cape >= 2000 || li <= -6) level = 3;
+  else if (cape >= 1000 || li <= -3) level = 2;
+  else if (cape >= 300 || li <= 0) level = 1;
+
+  // sans déclenchement (précipitations peu probables), l'instabilité reste théorique
+  if (pop < 20) level = 0;
+  else if (pop < 50) level = Math.max(0, level - 1);
+
+  if (code === 95) level = Math.max(level, 2);
+  return level;
+}
+
+function stormRiskAt(data, tMs) {
+  const v = (name, t) => omValueAt(data, "hourly", name, t);
+  let best = null;
+  for (let t = tMs; t <= tMs + STORM_WINDOW_MS; t += 3600000) {
+    const cape = v("cape", t);
+    if (cape === null) continue;
+    const level = stormRiskLevel({
+      cape,
+      li: v("lifted_index", t) ?? 0,
+      pop: v("precipitation_probability", t) ?? 0,
+      code: omValueAt(data, "hourly", "weather_code", t, false) ?? 0,
+    });
+    best = Math.max(best ?? 0, level);
+  }
+  return best;
+}
+
+registerGridOverlay({
+  id: "storm",
+  toggle: stormToggle,
+  pane: "stormPane",
+  zIndex: 510,
+  params: {
+    hourly: ["cape", "lifted_index", "precipitation_probability", "weather_code"],
+    forecast_days: 2,
+    timezone: "auto",
+  },
+  value: stormRiskAt,
+  color: (level) => (level > 0 ? STORM_COLORS[level - 1] : null),
+});
+
+/* ============
+   WEATHER FIELDS (temperature, cloud cover, pressure + isobars)
+============ */
+const TEMP_STOPS = [
+  [-15, "#5e3c99"],
+  [-5, "#3288bd"],
+  [5, "#66c2a5"],
+  [15, "#e6f598"],
+  [25, "#fdae61"],
+  [35, "#d53e4f"],
+  [45, "#9e0142"],
+];
+const PRESSURE_STOPS = [
+  [980, "#3f6fd8"],
+  [1000, "#9cc3f0"],
+  [1013, "#f2f2f2"],
+  [1025, "#f5b98a"],
+  [1040, "#d8552b"],
+];
+const ISOBAR_STEP_HPA = 4;
+
+registerGridOverlay({
+  id: "temp",
+  toggle: tempToggle,
+  pane: "tempPane",
+  zIndex: 501,
+  opacity: 0.55,
+  params: { hourly: "temperature_2m", forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => omValueAt(data, "hourly", "temperature_2m", tMs),
+  color: (v) => scaleColor(TEMP_STOPS, v),
+  legend: {
+    title: "Température (°C)",
+    items: TEMP_STOPS.map(([v, c]) => [c, `${v}`]),
+  },
+});
+
+registerGridOverlay({
+  id: "cloud",
+  toggle: cloudToggle,
+  pane: "cloudPane",
+  zIndex: 503,
+  opacity: 0.8,
+  params: { hourly: "cloud_cover", forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => omValueAt(data, "hourly", "cloud_cover", tMs),
+  // voile gris plus ou moins opaque
+  color: (pct) => (pct >= 10 ? "#c9ced6" : null),
+  alpha: (pct) => 0.15 + (pct / 100) * 0.75,
+  legend: {
+    title: "Nuages (%)",
+    items: [
+      ["rgba(201,206,214,.3)", "10 – 40"],
+      ["rgba(201,206,214,.6)", "40 – 80"],
+      ["rgba(201,206,214,.9)", "80 – 100"],
+    ],
+  },
+});
+
+registerGridOverlay({
+  id: "pressure",
+  toggle: pressureToggle,
+  pane: "pressurePane",
+  zIndex: 507,
+  opacity: 0.35,
+  params: { hourly: "pressure_msl", forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => omValueAt(data, "hourly", "pressure_msl", tMs),
+  color: (v) => scaleColor(PRESSURE_STOPS, v),
+  render: drawIsobars,
+  clear: clearIsobars,
+  legend: {
+    title: "Pression (hPa)",
+    items: [
+      ...PRESSURE_STOPS.map(([v, c]) => [c, v === 1013 ? "1013 (normale)" : `${v}`]),
+      ["transparent", `isobares tous les ${ISOBAR_STEP_HPA} hPa`],
+    ],
+  },
+});
+
+// Isobares par "marching squares" sur la grille, une polyligne multiple par niveau
+function drawIsobars(ov, values) {
+  clearIsobars(ov);
+  const { bounds: b } = ov.grid;
+  const known = values.filter((v) => v !== null && v !== undefined);
+  if (!known.length) return;
+
+  const latAt = (y) => b.getSouth() + (b.getNorth() - b.getSouth()) * (y / (GRID_NY - 1));
+  const lonAt = (x) => b.getWest() + (b.getEast() - b.getWest()) * (x / (GRID_NX - 1));
+  const val = (x, y) => values[y * GRID_NX + x];
+
+  ov.isobars = L.layerGroup().addTo(map);
+  const first = Math.ceil(Math.min(...known) / ISOBAR_STEP_HPA) * ISOBAR_STEP_HPA;
+
+  for (let level = first; level <= Math.max(...known); level += ISOBAR_STEP_HPA) {
+    const segs = isolineSegments(val, level, latAt, lonAt);
+    if (!segs.length) continue;
+
+    L.polyline(segs, { pane: ov.pane, className: "isobar", weight: 1.2, interactive: false }).addTo(ov.isobars);
+
+    const mid = segs[Math.floor(segs.length / 2)][0];
+    L.marker(mid, {
+      pane: ov.pane,
+      interactive: false,
+      icon: L.divIcon({ className: "isobar-label", html: String(level), iconSize: [34, 14] }),
+    }).addTo(ov.isobars);
+  }
+}
+
+function clearIsobars(ov) {
+  if (ov.isobars) {
+    map.removeLayer(ov.isobars);
+    ov.isobars = null;
+  }
+}
+
+/**
+ * Segments of the isoline `level` across the grid (one [a, b] pair of latlngs per crossed cell).
+ * val(x, y) -> number|null ; latAt(y), lonAt(x) map grid indices to coordinates.
+ */
+function isolineSegments(val, level, latAt, lonAt) {
+  const segs = [];
+  // point de passage sur l'arête (x0,y0)-(x1,y1)
+  const cross = (x0, y0, x1, y1) => {
+    const a = val(x0, y0);
+    const b = val(x1, y1);
+    const t = (level - a) / (b - a);
+    return [latAt(y0 + (y1 - y0) * t), lonAt(x0 + (x1 - x0) * t)];
+  };
+
+  for (let y = 0; y < GRID_NY - 1; y++) {
+    for (let x = 0; x < GRID_NX - 1; x++) {
+      const corners = [val(x, y), val(x + 1, y), val(x + 1, y + 1), val(x, y + 1)];
+      if (corners.some((v) => v === null || v === undefined)) continue;
+
+      const edges = [
+        [x, y, x + 1, y],
+        [x + 1, y, x + 1, y + 1],
+        [x + 1, y + 1, x, y + 1],
+        [x, y + 1, x, y],
+      ];
+      const pts = edges
+        .filter((_, k) => corners[k] >= level !== corners[(k + 1) % 4] >= level)
+        .map((e) => cross(...e));
+
+      // 2 croisements : un segment ; 4 (col) : deux segments
+      if (pts.length === 2) segs.push(pts);
+      else if (pts.length === 4) segs.push([pts[0], pts[1]], [pts[2], pts[3]]);
+    }
+  }
+  return segs;
+}
+
+/* ============
+   AIR QUALITY, UV, POLLEN (Open-Meteo air-quality API)
+============ */
+const POLLEN_TYPES = {
+  alder_pollen: "aulne",
+  birch_pollen: "bouleau",
+  grass_pollen: "graminées",
+  mugwort_pollen: "armoise",
+  olive_pollen: "olivier",
+  ragweed_pollen: "ambroisie",
+};
+const AIR_PARAMS = ["european_aqi", "pm2_5", "pm10", "ozone", "uv_index", ...Object.keys(POLLEN_TYPES)];
+
+// Indice européen (EAQI) : bornes hautes de chaque classe
+const AQI_CLASSES = [
+  { max: 20, color: "#50f0e6", label: "bon" },
+  { max: 40, color: "#50ccaa", label: "correct" },
+  { max: 60, color: "#f0e641", label: "moyen" },
+  { max: 80, color: "#ff5050", label: "mauvais" },
+  { max: 100, color: "#960032", label: "très mauvais" },
+  { max: Infinity, color: "#7d2181", label: "extrêmement mauvais" },
+];
+const UV_CLASSES = [
+  { max: 3, color: "#4eb400", label: "faible" },
+  { max: 6, color: "#f7e400", label: "modéré" },
+  { max: 8, color: "#f85900", label: "élevé" },
+  { max: 11, color: "#d8001d", label: "très élevé" },
+  { max: Infinity, color: "#6b49c8", label: "extrême" },
+];
+// grains/m³
+const POLLEN_CLASSES = [
+  { max: 10, color: "#c8e6a0", label: "faible" },
+  { max: 50, color: "#f5d94e", label: "modéré" },
+  { max: 200, color: "#f08a24", label: "élevé" },
+  { max: Infinity, color: "#c0262d", label: "très élevé" },
+];
+
+function airClass(classes, v) {
+  return classes.find((c) => v < c.max);
+}
+
+function classLegendItems(classes, unit = "") {
+  return classes.map((c, i) => {
+    const lo = i ? classes[i - 1].max : 0;
+    const range = c.max === Infinity ? `${lo}+` : `${lo} – ${c.max}`;
+    return [c.color, `${range}${unit} (${c.label})`];
+  });
+}
+
+// Pollen dominant : le type le plus chargé à l'instant t
+function pollenAt(data, tMs, block = "hourly") {
+  let best = null;
+  Object.keys(POLLEN_TYPES).forEach((k) => {
+    const v = block === "current" ? data?.current?.[k] : omValueAt(data, block, k, tMs);
+    if (v !== null && v !== undefined && (!best || v > best.value)) best = { type: k, value: v };
+  });
+  return best;
+}
+
+registerGridOverlay({
+  id: "aqi",
+  toggle: aqiToggle,
+  source: "airQuality",
+  pane: "aqiPane",
+  zIndex: 511,
+  opacity: 0.5,
+  params: { hourly: "european_aqi", forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => omValueAt(data, "hourly", "european_aqi", tMs),
+  color: (v) => airClass(AQI_CLASSES, v).color,
+  legend: { title: "Qualité de l’air (IQA européen)", items: classLegendItems(AQI_CLASSES) },
+});
+
+registerGridOverlay({
+  id: "uv",
+  toggle: uvToggle,
+  source: "airQuality",
+  pane: "uvPane",
+  zIndex: 512,
+  opacity: 0.5,
+  params: { hourly: "uv_index", forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => omValueAt(data, "hourly", "uv_index", tMs),
+  color: (v) => (v >= 0.5 ? airClass(UV_CLASSES, v).color : null),
+  legend: { title: "Indice UV", items: classLegendItems(UV_CLASSES) },
+});
+
+registerGridOverlay({
+  id: "pollen",
+  toggle: pollenToggle,
+  source: "airQuality",
+  pane: "pollenPane",
+  zIndex: 513,
+  opacity: 0.5,
+  params: { hourly: Object.keys(POLLEN_TYPES), forecast_days: 2, timezone: "auto" },
+  value: (data, tMs) => pollenAt(data, tMs)?.value ?? null,
+  color: (v) => (v >= 1 ? airClass(POLLEN_CLASSES, v).color : null),
+  legend: { title: "Pollen (grains/m³, type dominant)", items: classLegendItems(POLLEN_CLASSES) },
+});
+
+// Lignes air / UV / pollen du popup (API séparée : remplies après coup, comme la sonde radar)
+async function fillAirQuality(popup, lat, lon) {
+  let data = null;
+  try {
+    data = await fetchForecastPoint(lat, lon, { current: AIR_PARAMS, timezone: "auto" }, { source: "airQuality" });
+  } catch (err) {
+    if (!isAbortError(err)) console.warn("Air quality error:", err);
+  }
+
+  const slot = popup.getElement()?.querySelector(".popup-air");
+  if (!slot || !popup.isOpen()) return;
+  slot.innerHTML = airQualityHtml(data?.current);
+  popup.update();
+}
+
+function airQualityHtml(cur) {
+  if (!cur) return `<div>🌫️ Air : <b>indisponible</b></div>`;
+
+  const swatch = (c) => `<span class="swatch" style="background:${c.color}"></span>`;
+  const lines = [];
+
+  if (cur.european_aqi !== null && cur.european_aqi !== undefined) {
+    const c = airClass(AQI_CLASSES, cur.european_aqi);
+    lines.push(
+      `<div>🌫️ Air : ${swatch(c)}<b>${c.label}</b> (IQA ${Math.round(cur.european_aqi)})` +
+        ` <span class="popup-sub">PM2.5 ${fmt(cur.pm2_5)} · PM10 ${fmt(cur.pm10)} · O₃ ${fmt(cur.ozone)} µg/m³</span></div>`
+    );
+  }
+  if (cur.uv_index !== null && cur.uv_index !== undefined) {
+    const c = airClass(UV_CLASSES, cur.uv_index);
+    lines.push(`<div>☀️ UV : ${swatch(c)}<b>${fmt(cur.uv_index)}</b> (${c.label})</div>`);
+  }
+  const pollen = pollenAt({ current: cur }, null, "current");
+  if (pollen) {
+    const c = airClass(POLLEN_CLASSES, pollen.value);
+    lines.push(
+      pollen.value < 1
+        ? `<div>🌼 Pollen : <b>négligeable</b></div>`
+        : `<div>🌼 Pollen : ${swatch(c)}<b>${POLLEN_TYPES[pollen.type]}</b> ${fmt(pollen.value)} grains/m³ (${c.label})</div>`
+    );
+  }
+  return lines.join("");
+}
+
+/* ============
+   DETAILS PANEL (48 h hourly + 7 days for a point)
+============ */
+const DETAILS_PARAMS = {
+  hourly: [
+    "temperature_2m",
+    "precipitation",
+    "precipitation_probability",
+    "windspeed_10m",
+    "windgusts_10m",
+    "winddirection_10m",
+  ],
+  daily: [
+    "weather_code",
+    "temperature_2m_max",
+    "temperature_2m_min",
+    "precipitation_sum",
+    "precipitation_probability_max",
+    "windspeed_10m_max",
+    "windgusts_10m_max",
+  ],
+  forecast_days: 7,
+  timezone: "auto",
+};
+
+const CHART_W = 560;
+const CHART_H = 110;
+const CHART_PAD = 18; // place pour les libellés d'heures
+
+function initDetailsPanel() {
+  detailsCloseBtn?.addEventListener("click", closeDetails);
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !detailsPanelEl?.classList.contains("hidden")) closeDetails();
+  });
+  if (detailsPanelEl) {
+    L.DomEvent.disableClickPropagation(detailsPanelEl);
+    L.DomEvent.disableScrollPropagation(detailsPanelEl);
+  }
+}
+
+function closeDetails() {
+  detailsPanelEl?.classList.add("hidden");
+}
+
+async function openDetails(lat, lon, label) {
+  if (!detailsPanelEl || !detailsBodyEl) return;
+
+  closeRoutePanel();
+  closeFavManager();
+  if (detailsTitleEl) detailsTitleEl.textContent = label || `${lat.toFixed(3)}, ${lon.toFixed(3)}`;
+  detailsBodyEl.innerHTML = `<div class="details-loading">Chargement…</div>`;
+  detailsPanelEl.classList.remove("hidden");
+
+  try {
+    const data = await fetchForecastPoint(lat, lon, DETAILS_PARAMS, { group: "details" });
+    detailsBodyEl.innerHTML = detailsHtml(data);
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error(err);
+    detailsBodyEl.innerHTML = `<div class="details-loading">Prévision indisponible</div>`;
+  }
+}
+
+function detailsHtml(data) {
+  const hours = ["temperature_2m", "precipitation", "precipitation_probability", "windspeed_10m", "windgusts_10m"];
+  const cols = Object.fromEntries(hours.map((k) => [k, omStepsFromNow(data, "hourly", k).slice(0, 48)]));
+  // Heures du lieu (timezone "auto") : instants décalés de utc_offset_seconds, à lire en UTC
+  const offset = (data.utc_offset_seconds || 0) * 1000;
+  const times = cols.temperature_2m.map((x) => x.t + offset);
+
+  if (!times.length) return `<div class="details-loading">Prévision indisponible</div>`;
+
+  const v = (k) => cols[k].map((x) => x.v);
+
+  return `
+    <h3>Température (°C)</h3>
+    ${tempChartSvg(times, v("temperature_2m"))}
+    <h3>Pluie (mm/h) et probabilité (%)</h3>
+    ${rainChartSvg(times, v("precipitation"), v("precipitation_probability"))}
+    <h3>Vent et rafales (km/h)</h3>
+    ${windChartSvg(times, v("windspeed_10m"), v("windgusts_10m"))}
+    <h3>7 jours</h3>
+    ${dailyTableHtml(data.daily, data.hourly)}
+  `;
+}
+
+function chartX(i, n) {
+  return n > 1 ? (i / (n - 1)) * CHART_W : 0;
+}
+function chartY(v, min, max) {
+  const h = CHART_H - CHART_PAD;
+  return h - ((v - min) / (max - min || 1)) * (h - 6) - 3;
+}
+
+// Repères communs : minuit (séparateur) + heures toutes les 6 h, à l'heure du lieu
+function chartGridSvg(times) {
+  return times
+    .map((t, i) => {
+      const d = new Date(t);
+      const h = d.getUTCHours();
+      if (h % 6) return "";
+      const x = chartX(i, times.length).toFixed(1);
+      const label = h === 0 ? d.toLocaleDateString("fr-FR", { weekday: "short", timeZone: "UTC" }) : `${h}h`;
+      return `
+        <line x1="${x}" y1="0" x2="${x}" y2="${CHART_H - CHART_PAD}" class="${h === 0 ? "grid-day" : "grid-h"}" />
+        <text x="${x}" y="${CHART_H - 4}" class="chart-label">${label}</text>`;
+    })
+    .join("");
+}
+
+function fmtChartClock(t) {
+  return new Date(t).toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit", timeZone: "UTC" });
+}
+
+function chartSvg(inner, times) {
+  return `<svg class="chart" viewBox="0 0 ${CHART_W} ${CHART_H}" preserveAspectRatio="none">${chartGridSvg(
+    times
+  )}${inner}</svg>`;
+}
+
+function polylinePoints(values, min, max) {
+  return values.map((v, i) => `${chartX(i, values.length).toFixed(1)},${chartY(v, min, max).toFixed(1)}`).join(" ");
+}
+
+function tempChartSvg(times, temps) {
+  const min = Math.floor(Math.min(...temps)) - 1;
+  const max = Math.ceil(Math.max(...temps)) + 1;
+  const iMax = temps.indexOf(Math.max(...temps));
+  const iMin = temps.indexOf(Math.min(...temps));
+  const label = (i) =>
+    `<text x="${chartX(i, temps.length).toFixed(1)}" y="${(chartY(temps[i], min, max) - 4).toFixed(1)}" class="chart-value">${fmt(
+      temps[i]
+    )}°</text>`;
+
+  return chartSvg(
+    `<polyline points="${polylinePoints(temps, min, max)}" class="line-temp" />${label(iMax)}${label(iMin)}`,
+    times
+  );
+}
+
+// Barres colorées comme la légende pluie (palette radar active), probabilité en ligne
+function rainChartSvg(times, mm, prob) {
+  const max = Math.max(2, ...mm);
+  const bw = CHART_W / mm.length;
+  const bars = mm
+    .map((v, i) => {
+      if (v <= 0) return "";
+      const y = chartY(v, 0, max);
+      const title = `${fmtChartClock(times[i])} : ${fmt(v)} mm`;
+      return `<rect x="${(i * bw).toFixed(1)}" y="${y.toFixed(1)}" width="${Math.max(1, bw - 1).toFixed(
+        1
+      )}" height="${(CHART_H - CHART_PAD - y).toFixed(1)}" fill="${rainColor(v)}"><title>${title}</title></rect>`;
+    })
+    .join("");
+
+  return chartSvg(`${bars}<polyline points="${polylinePoints(prob, 0, 100)}" class="line-prob" />`, times);
+}
+
+// Segments colorés par windColor(), rafales en pointillés
+function windChartSvg(times, wind, gusts) {
+  const max = Math.max(20, ...wind, ...gusts);
+  const segs = (values, cls) =>
+    values
+      .slice(1)
+      .map((v, k) => {
+        const i = k + 1;
+        return `<line x1="${chartX(i - 1, values.length).toFixed(1)}" y1="${chartY(values[i - 1], 0, max).toFixed(
+          1
+        )}" x2="${chartX(i, values.length).toFixed(1)}" y2="${chartY(v, 0, max).toFixed(1)}" stroke="${windColor(
+          Math.max(v, values[i - 1])
+        )}" class="${cls}" />`;
+      })
+      .join("");
+
+  const iMax = gusts.indexOf(Math.max(...gusts));
+  const peak = gusts.length
+    ? `<text x="${chartX(iMax, gusts.length).toFixed(1)}" y="${(chartY(gusts[iMax], 0, max) - 4).toFixed(
+        1
+      )}" class="chart-value">${Math.round(gusts[iMax])}</text>`
+    : "";
+
+  return chartSvg(segs(gusts, "line-gust") + segs(wind, "line-wind") + peak, times);
+}
+
+// Pastille pluie : intensité horaire maximale du jour, sur la même échelle mm/h que la légende
+function dailyMaxRate(hourly) {
+  const out = {};
+  (hourly?.time || []).forEach((t, i) => {
+    const day = t.slice(0, 10);
+    out[day] = Math.max(out[day] ?? 0, hourly.precipitation?.[i] ?? 0);
+  });
+  return out;
+}
+
+function dailyTableHtml(d, hourly) {
+  if (!d?.time?.length) return "";
+  const maxRate = dailyMaxRate(hourly);
+  const rows = d.time
+    .map((day, i) => {
+      const date = new Date(`${day}T12:00:00`);
+      const name = date.toLocaleDateString("fr-FR", { weekday: "short", day: "numeric" });
+      const mm = d.precipitation_sum?.[i] ?? 0;
+      const peak = maxRate[day] ?? 0;
+      const wind = d.windspeed_10m_max?.[i];
+      return `
+        <tr>
+          <td>${escapeHtml(name)}</td>
+          <td class="wx">${weatherIcon(d.weather_code?.[i])}</td>
+          <td><b>${fmt(d.temperature_2m_max?.[i])}°</b> / ${fmt(d.temperature_2m_min?.[i])}°</td>
+          <td><span class="swatch" style="background:${peak > 0 ? rainColor(peak) : "transparent"}" title="max ~${fmt(
+            peak
+          )} mm/h"></span>${fmt(mm)} mm · ${d.precipitation_probability_max?.[i] ?? "—"}%</td>
+          <td><span class="swatch" style="background:${windColor(wind ?? 0)}"></span>${fmt(wind)} (${fmt(
+            d.windgusts_10m_max?.[i]
+          )})</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="daily">
+      <thead><tr><th>Jour</th><th></th><th>Max / min</th><th>Pluie</th><th>Vent (rafales)</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/* ============
+   ROUTE (rain along a trip: draw or import, departure + speed, best departure)
+============ */
+const ROUTE_SEGMENT_KM = 2; // pas d'échantillonnage le long du trajet
+const ROUTE_MAX_SEGMENTS = 60;
+const ROUTE_DEPART_STEP_MIN = 15;
+const ROUTE_DEPART_WINDOW_H = 3; // départs testés : maintenant … +3 h
+const ROUTE_MODES = { bike: 18, car: 70, walk: 5 };
+
+let routePoints = []; // [[lat, lon], …]
+let routeDrawing = false;
+let routeDraftLayer = null;
+let routeLayer = null;
+let routeRunToken = 0; // seul le dernier calcul lancé affiche son résultat
+
+function initRoutePanel() {
+  map.createPane("routePane");
+  map.getPane("routePane").style.zIndex = 530;
+
+  if (routePanelEl) {
+    L.DomEvent.disableClickPropagation(routePanelEl);
+    L.DomEvent.disableScrollPropagation(routePanelEl);
+  }
+
+  const saved = getSavedRoute();
+  routePoints = saved.points || [];
+  if (routeSpeedInput) routeSpeedInput.value = String(saved.speed || ROUTE_MODES.bike);
+  if (routeModeSelect) routeModeSelect.value = saved.mode || "bike";
+  resetRouteDepart();
+  drawRouteDraft();
+
+  routeBtn?.addEventListener("click", () => {
+    if (routePanelEl?.classList.contains("hidden")) openRoutePanel();
+    else closeRoutePanel();
+  });
+  routeCloseBtn?.addEventListener("click", closeRoutePanel);
+
+  routeDrawBtn?.addEventListener("click", () => setRouteDrawing(!routeDrawing));
+  routeClearBtn?.addEventListener("click", () => {
+    setRouteDrawing(false);
+    setRoute([]);
+  });
+
+  routeImportInput?.addEventListener("change", async () => {
+    const file = routeImportInput.files?.[0];
+    routeImportInput.value = "";
+    if (!file) return;
+    try {
+      const pts = parseRouteFile(await file.text(), file.name);
+      if (pts.length < 2) throw new Error("Aucune trace trouvée");
+      setRouteDrawing(false);
+      setRoute(pts);
+      map.fitBounds(L.latLngBounds(pts), { padding: [40, 40] });
+    } catch (err) {
+      console.error(err);
+      pushToast({ icon: "⚠️", title: "Import impossible", message: err.message, time: file.name });
+    }
+  });
+
+  routeModeSelect?.addEventListener("change", () => {
+    const speed = ROUTE_MODES[routeModeSelect.value];
+    if (speed && routeSpeedInput) routeSpeedInput.value = String(speed);
+    saveRoute();
+  });
+  routeSpeedInput?.addEventListener("change", saveRoute);
+  routeComputeBtn?.addEventListener("click", () => computeRoute());
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    if (routeDrawing) setRouteDrawing(false);
+    else if (!routePanelEl?.classList.contains("hidden")) closeRoutePanel();
+  });
+}
+
+function openRoutePanel() {
+  closeDetails();
+  closeFavManager();
+  routePanelEl?.classList.remove("hidden");
+  resetRouteDepart();
+}
+
+function closeRoutePanel() {
+  setRouteDrawing(false);
+  routePanelEl?.classList.add("hidden");
+}
+
+// Heure de départ par défaut : maintenant, arrondi aux 5 min suivantes
+function resetRouteDepart() {
+  if (!routeDepartInput) return;
+  const cur = routeDepartInput.value ? new Date(routeDepartInput.value).getTime() : 0;
+  if (cur > Date.now()) return;
+
+  const t = Math.ceil(Date.now() / 300000) * 300000;
+  routeDepartInput.value = toLocalInputValue(t);
+}
+
+function toLocalInputValue(ts) {
+  const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+function getSavedRoute() {
+  try {
+    return JSON.parse(localStorage.getItem(ROUTE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+function saveRoute() {
+  localStorage.setItem(
+    ROUTE_KEY,
+    JSON.stringify({ points: routePoints, speed: routeSpeed(), mode: routeModeSelect?.value || "bike" })
+  );
+}
+
+function routeSpeed() {
+  return clamp(parseFloat(routeSpeedInput?.value) || ROUTE_MODES.bike, 1, 200);
+}
+
+function setRoute(points) {
+  routeRunToken++;
+  routePoints = points;
+  saveRoute();
+  clearRouteLayer();
+  drawRouteDraft();
+  if (routeResultEl) routeResultEl.innerHTML = "";
+}
+
+function setRouteDrawing(on) {
+  routeDrawing = on;
+  if (routeDrawBtn) routeDrawBtn.textContent = on ? "✅ Terminer" : "✏️ Tracer";
+  map?.getContainer().classList.toggle("route-drawing", on);
+  if (on) {
+    routeRunToken++;
+    clearRouteLayer();
+    setStatus("Cliquez sur la carte pour ajouter des points (Échap pour terminer)");
+  } else {
+    setStatus(frames.length ? radarAgeText() : undefined);
+  }
+}
+
+function addRouteVertex(latlng) {
+  routePoints = [...routePoints, [latlng.lat, latlng.lng]];
+  saveRoute();
+  drawRouteDraft();
+}
+
+function drawRouteDraft() {
+  if (routeDraftLayer) {
+    map.removeLayer(routeDraftLayer);
+    routeDraftLayer = null;
+  }
+  if (!routePoints.length) return;
+  routeDraftLayer = L.polyline(routePoints, { pane: "routePane", className: "route-draft", interactive: false }).addTo(
+    map
+  );
+}
+
+function clearRouteLayer() {
+  if (routeLayer) {
+    map.removeLayer(routeLayer);
+    routeLayer = null;
+  }
+}
+
+/* ---- import GPX / GeoJSON ---- */
+function parseRouteFile(text, name) {
+  const isGpx = /\.gpx$/i.test(name) || text.trimStart().startsWith("<");
+  return isGpx ? parseGpx(text) : parseGeoJsonRoute(JSON.parse(text));
+}
+
+function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("GPX invalide");
+
+  // trace (trkpt) en priorité, sinon itinéraire (rtept)
+  let nodes = [...doc.getElementsByTagName("trkpt")];
+  if (!nodes.length) nodes = [...doc.getElementsByTagName("rtept")];
+  return nodes
+    .map((n) => [parseFloat(n.getAttribute("lat")), parseFloat(n.getAttribute("lon"))])
+    .filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon));
+}
+
+function parseGeoJsonRoute(gj) {
+  const out = [];
+  const visit = (g) => {
+    if (!g) return;
+    if (g.type === "FeatureCollection") g.features.forEach(visit);
+    else if (g.type === "Feature") visit(g.geometry);
+    else if (g.type === "GeometryCollection") g.geometries.forEach(visit);
+    else if (g.type === "LineString") out.push(...g.coordinates);
+    else if (g.type === "MultiLineString") g.coordinates.forEach((line) => out.push(...line));
+  };
+  visit(gj);
+  // GeoJSON : [lon, lat]
+  return out.map(([lon, lat]) => [lat, lon]).filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon));
+}
+
+/* ---- sampling ---- */
+
+// Découpe le trajet en tronçons réguliers : { a, b, mid, km0, km } (km0 = distance au début du tronçon)
+function routeSegments(points) {
+  const legs = [];
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const km = L.latLng(points[i - 1]).distanceTo(points[i]) / 1000;
+    legs.push({ a: points[i - 1], b: points[i], km0: total, km });
+    total += km;
+  }
+  if (!(total > 0)) return [];
+
+  const n = clamp(Math.ceil(total / ROUTE_SEGMENT_KM), 1, ROUTE_MAX_SEGMENTS);
+  const step = total / n;
+  const at = (d) => {
+    const leg = legs.find((l) => d <= l.km0 + l.km) || legs[legs.length - 1];
+    const t = leg.km ? clamp((d - leg.km0) / leg.km, 0, 1) : 0;
+    return [leg.a[0] + (leg.b[0] - leg.a[0]) * t, leg.a[1] + (leg.b[1] - leg.a[1]) * t];
+  };
+
+  return Array.from({ length: n }, (_, i) => {
+    // points du tracé d'origine compris dans le tronçon, pour garder la forme
+    const d0 = i * step;
+    const d1 = (i + 1) * step;
+    const inner = legs.filter((l) => l.km0 > d0 && l.km0 < d1).map((l) => l.a);
+    return { path: [at(d0), ...inner, at(d1)], mid: at(d0 + step / 2), km0: d0, km: step };
+  });
+}
+
+/**
+ * Expected rain (mm/h) at one place and time: radar nowcast while a radar frame is close
+ * enough in time, the model (15 min, then hourly) beyond.
+ */
+async function routeRainAt(lat, lon, tMs, data) {
+  const i = nearestRadarFrame(tMs);
+  if (i !== null) {
+    const v = await probeRadarAt(lat, lon, i);
+    if (v !== null) return { mmh: v, source: "radar" };
+  }
+  const q = omValueAt(data, "minutely_15", "precipitation", tMs);
+  if (q !== null) return { mmh: q * 4, source: "modèle" };
+  return { mmh: omValueAt(data, "hourly", "precipitation", tMs) ?? 0, source: "modèle" };
+}
+
+// Frame radar (pas modèle) à moins de 10 min de t, en ne regardant que "maintenant" et le nowcast
+function nearestRadarFrame(tMs) {
+  let best = null;
+  for (let i = radarNowIndex(); i < radarFrameCount; i++) {
+    const d = Math.abs(frames[i].time * 1000 - tMs);
+    if (d <= 10 * 60000 && (best === null || d < best.d)) best = { i, d };
+  }
+  return best ? best.i : null;
+}
+
+// Passe le trajet à un départ donné : rain par tronçon + cumul reçu (mm)
+async function evaluateRoute(segs, data, departMs, speed) {
+  const out = await Promise.all(
+    segs.map(async (seg, k) => {
+      const tMs = departMs + ((seg.km0 + seg.km / 2) / speed) * 3600000;
+      const rain = await routeRainAt(seg.mid[0], seg.mid[1], tMs, data[k]);
+      return { ...seg, tMs, ...rain };
+    })
+  );
+  const wetMm = out.reduce((sum, s) => sum + (s.mmh * s.km) / speed, 0);
+  const maxMmh = Math.max(0, ...out.map((s) => s.mmh));
+  return { segs: out, wetMm, maxMmh, departMs };
+}
+
+async function computeRoute() {
+  if (!routeResultEl) return;
+  // moins de deux points distincts (trajet de 0 km) : rien à évaluer
+  const segs = routeSegments(routePoints);
+  if (!segs.length) {
+    routeResultEl.innerHTML = `<div class="details-loading">Tracez ou importez un trajet d’abord.</div>`;
+    return;
+  }
+  setRouteDrawing(false);
+  saveRoute();
+
+  const token = ++routeRunToken;
+  const speed = routeSpeed();
+  const departMs = new Date(routeDepartInput?.value || Date.now()).getTime() || Date.now();
+  routeResultEl.innerHTML = `<div class="details-loading">Calcul…</div>`;
+
+  let data;
+  try {
+    data = await fetchForecast(
+      segs.map((s) => ({ lat: s.mid[0], lon: s.mid[1] })),
+      { minutely_15: "precipitation", hourly: "precipitation", forecast_days: 2, timezone: "auto" },
+      { group: "route" }
+    );
+  } catch (err) {
+    if (isAbortError(err) || token !== routeRunToken) return;
+    console.error(err);
+    routeResultEl.innerHTML = `<div class="details-loading">Prévision indisponible</div>`;
+    return;
+  }
+  if (token !== routeRunToken) return; // relancé ou trajet modifié entre-temps
+
+  const chosen = await evaluateRoute(segs, data, departMs, speed);
+  if (token !== routeRunToken) return;
+  drawRouteResult(chosen);
+
+  // meilleurs départs : maintenant … +3 h, par pas de 15 min
+  const t0 = Math.ceil(Date.now() / (ROUTE_DEPART_STEP_MIN * 60000)) * ROUTE_DEPART_STEP_MIN * 60000;
+  const options = [];
+  for (let t = t0; t <= t0 + ROUTE_DEPART_WINDOW_H * 3600000; t += ROUTE_DEPART_STEP_MIN * 60000) {
+    options.push(await evaluateRoute(segs, data, t, speed));
+    if (token !== routeRunToken) return;
+  }
+
+  routeResultEl.innerHTML = routeResultHtml(chosen, options, speed);
+  routeResultEl.querySelectorAll("[data-depart]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      if (routeDepartInput) routeDepartInput.value = toLocalInputValue(Number(btn.dataset.depart));
+      computeRoute();
+    });
+  });
+}
+
+function drawRouteResult(result) {
+  clearRouteLayer();
+  if (routeDraftLayer) {
+    map.removeLayer(routeDraftLayer);
+    routeDraftLayer = null;
+  }
+
+  routeLayer = L.layerGroup().addTo(map);
+  result.segs.forEach((s) => {
+    const wet = s.mmh >= 0.1;
+    L.polyline(s.path, {
+      pane: "routePane",
+      className: wet ? "route-seg wet" : "route-seg",
+      color: wet ? rainColor(s.mmh) : "#2bb673",
+    })
+      .bindTooltip(
+        `${fmtClock(s.tMs)} · km ${Math.round(s.km0)} — ${
+          wet ? `${fmt(s.mmh)} mm/h (${rainClassLabel(s.mmh)})` : "sec"
+        } · ${s.source}`,
+        { sticky: true }
+      )
+      .addTo(routeLayer);
+  });
+}
+
+function routeResultHtml(chosen, options, speed) {
+  const totalKm = chosen.segs.reduce((sum, s) => sum + s.km, 0);
+  const durMin = Math.round((totalKm / speed) * 60);
+  const arrive = chosen.departMs + durMin * 60000;
+  const wetKm = chosen.segs.filter((s) => s.mmh >= 0.1).reduce((sum, s) => sum + s.km, 0);
+
+  const verdict =
+    wetKm === 0
+      ? "☀️ Trajet au sec"
+      : `🌧️ Pluie sur ~${fmt(wetKm)} km (max ${fmt(chosen.maxMmh)} mm/h, ~${fmt(chosen.wetMm)} mm reçus)`;
+
+  // les 3 départs les plus secs (à égalité, le plus tôt)
+  const best = [...options].sort((a, b) => a.wetMm - b.wetMm || a.departMs - b.departMs).slice(0, 3);
+  const rows = best
+    .map(
+      (o) => `
+        <button class="history-item" type="button" data-depart="${o.departMs}">
+          <span class="history-icon">${o.wetMm < 0.05 ? "☀️" : "🌧️"}</span>
+          <span>
+            <b>Départ ${fmtClock(o.departMs)}</b>
+            <small>${o.wetMm < 0.05 ? "au sec" : `~${fmt(o.wetMm)} mm reçus, max ${fmt(o.maxMmh)} mm/h`}</small>
+          </span>
+        </button>`
+    )
+    .join("");
+
+  return `
+    <div class="route-summary">
+      <div><b>${fmt(totalKm)} km</b> · ${fmtLead(durMin)} · arrivée ${fmtClock(arrive)}</div>
+      <div class="today-answer">${verdict}</div>
+    </div>
+    <h3>Meilleurs départs (prochaines ${ROUTE_DEPART_WINDOW_H} h)</h3>
+    <div class="alert-history">${rows}</div>
+  `;
+}
+
+/* ============
+   IN-SITE ALERTS (toasts)
+============ */
+function startAlertLoop() {
+  checkAlerts().catch(() => {});
+  setInterval(() => checkAlerts().catch(() => {}), 180000);
+}
+
+/*
+  rt_alerts_v2 = {
+    geo: true,                        // surveiller aussi la position géolocalisée
+    locations: {
+      "48.86,2.35": {
+        enabled: true,
+        fired: { "rain_1700001800000": 1700000000000, … },
+        events: { rain: { startAt: 1700001800000, seenAt: 1700000000000 }, … }   // épisodes en cours de suivi
+      }
+    }
+  }
+*/
+const ALERT_FIRED_TTL = 24 * 3600 * 1000;
+
+function getAlertState() {
+  try {
+    const st = JSON.parse(localStorage.getItem(ALERT_KEY) || "{}");
+    // ancien format (clés plates lat/lon dans l'objet) : on repart de zéro
+    if (!st.locations) return { geo: true, locations: {} };
+    return st;
+  } catch {
+    return { geo: true, locations: {} };
+  }
+}
+function setAlertState(st) {
+  localStorage.setItem(ALERT_KEY, JSON.stringify(st));
+}
+
+function alertLocKey(lat, lon) {
+  return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+}
 
-  const pts = [];
-  for (let y = 0; y < ny; y++) {
-    for (let x = 0; x < nx; x++) {
-      const lat = b.getSouth() + (b.getNorth() - b.getSouth()) * (y / (ny - 1));
-      const lon = b.getWest() + (b.getEast() - b.getWest()) * (x / (nx - 1));
-      pts.push({ lat, lon });
-    }
-  }
+function isAlertEnabled(st, key) {
+  return st.locations[key]?.enabled !== false;
+}
 
-  windArrowLayer = L.layerGroup([], { pane: "windArrowPane" }).addTo(map);
+function setAlertEnabled(lat, lon, enabled) {
+  const st = getAlertState();
+  const key = alertLocKey(lat, lon);
+  st.locations[key] = { ...(st.locations[key] || { fired: {} }), enabled };
+  setAlertState(st);
+  renderFavs();
+  if (enabled) checkAlerts().catch(() => {});
+}
 
-  const batchSize = 8;
-  for (let i = 0; i < pts.length; i += batchSize) {
-    const batch = pts.slice(i, i + batchSize);
-    const res = await Promise.all(batch.map((p) => fetchPointWind(p.lat, p.lon).catch(() => null)));
+function setGeoAlertEnabled(enabled) {
+  const st = getAlertState();
+  st.geo = enabled;
+  setAlertState(st);
+  renderFavs();
+  if (enabled) checkAlerts().catch(() => {});
+}
 
-    res.forEach((w, idx) => {
-      if (!w) w = windCenter;
-      const icon = arrowIcon(w.spd, w.deg, "wind");
-      L.marker([batch[idx].lat, batch[idx].lon], { icon, interactive: false, pane: "windArrowPane" }).addTo(
-        windArrowLayer
-      );
-    });
-  }
+// Favoris + position géolocalisée (si connue et activée)
+function alertLocations(st) {
+  const list = getFavs().map((f) => ({ lat: f.lat, lon: f.lon, name: shortName(f.name) }));
+  if (geoPosition && st.geo !== false) list.unshift({ ...geoPosition, name: "Ma position" });
+
+  const seen = new Set();
+  return list.filter((loc) => {
+    loc.key = alertLocKey(loc.lat, loc.lon);
+    if (seen.has(loc.key)) return false;
+    seen.add(loc.key);
+    return isAlertEnabled(st, loc.key);
+  });
 }
-function clearWindArrows() {
-  if (windArrowLayer) {
-    map.removeLayer(windArrowLayer);
-    windArrowLayer = null;
+
+const AIR_ALERT_PARAMS = {
+  hourly: ["european_aqi", "uv_index", ...Object.keys(POLLEN_TYPES)],
+  forecast_days: 2,
+  timezone: "auto",
+};
+
+// Chaque estimation radar décode trois mosaïques 3x3 : au-delà de ces premiers lieux
+// (position puis favoris, dans l'ordre choisi dans le gestionnaire), la pluie vient du modèle seul
+const ALERT_RADAR_MAX = 6;
+
+const ALERT_PARAMS = {
+  minutely_15: "precipitation",
+  hourly: ["windspeed_10m", "windgusts_10m", "weather_code", "snowfall", "temperature_2m"],
+  timezone: "auto",
+};
+
+// Un seul contrôle à la fois : chaque contrôle travaille sur sa copie de l'état, deux en parallèle
+// doubleraient les toasts. Une demande pendant un contrôle en relance un seul après lui.
+let alertCheckRunning = null;
+let alertCheckAgain = false;
+
+function checkAlerts() {
+  if (alertCheckRunning) {
+    alertCheckAgain = true;
+    return alertCheckRunning;
   }
+  alertCheckRunning = runAlertCheck().finally(() => {
+    alertCheckRunning = null;
+    if (alertCheckAgain) {
+      alertCheckAgain = false;
+      checkAlerts().catch(() => {});
+    }
+  });
+  return alertCheckRunning;
 }
 
-/* ============
-   RAIN DIRECTION (proxy from wind)
-============ */
-function drawRainDirection() {
+async function runAlertCheck() {
   if (!map) return;
-  clearRainDirection();
 
-  const b = map.getBounds();
-  const nx = 7,
-    ny = 5;
+  const st = getAlertState();
+  const known = Object.keys(st.locations);
+  const locs = alertLocations(st);
+  pruneAlertState(st, locs);
+  if (!locs.length || inQuietHours(alertRules)) {
+    // heures calmes : rien n'est marqué comme déclenché, l'alerte sortira après
+    saveAlertCheck(st, known);
+    return;
+  }
 
-  const pts = [];
-  for (let y = 0; y < ny; y++) {
-    for (let x = 0; x < nx; x++) {
-      const lat = b.getSouth() + (b.getNorth() - b.getSouth()) * (y / (ny - 1));
-      const lon = b.getWest() + (b.getEast() - b.getWest()) * (x / (nx - 1));
-      pts.push({ lat, lon });
-    }
+  const [list, air] = await Promise.all([
+    fetchForecast(locs, ALERT_PARAMS, { group: "alerts" }),
+    alertRules.air.enabled
+      ? fetchForecast(locs, AIR_ALERT_PARAMS, { group: "alerts-air", source: "airQuality" }).catch(() => [])
+      : [],
+  ]);
+
+  for (let i = 0; i < locs.length; i++) {
+    if (list[i]) await checkAlertsAt(locs[i], list[i], st, air[i], i < ALERT_RADAR_MAX);
   }
+  saveAlertCheck(st, known);
+}
 
-  rainDirLayer = L.layerGroup([], { pane: "rainDirPane" }).addTo(map);
+// Les cloches basculées pendant le contrôle priment sur sa copie de l'état
+function saveAlertCheck(st, known) {
+  const fresh = getAlertState();
+  known.forEach((key) => {
+    if (!st.locations[key]) delete fresh.locations[key];
+  });
+  Object.keys(st.locations).forEach((key) => {
+    const enabled = fresh.locations[key]?.enabled ?? st.locations[key].enabled;
+    fresh.locations[key] = { ...st.locations[key], enabled };
+  });
+  setAlertState(fresh);
+}
 
-  pts.forEach((p) => {
-    const icon = arrowIcon(Math.max(10, windCenter.spd), windCenter.deg, "rain");
-    L.marker([p.lat, p.lon], { icon, interactive: false, pane: "rainDirPane" }).addTo(rainDirLayer);
+// Oublie les lieux supprimés et les déclenchements trop anciens
+function pruneAlertState(st, locs) {
+  const now = Date.now();
+  const live = new Set(getFavs().map((f) => alertLocKey(f.lat, f.lon)));
+  if (geoPosition) live.add(alertLocKey(geoPosition.lat, geoPosition.lon));
+  locs.forEach((l) => live.add(l.key));
+
+  Object.keys(st.locations).forEach((key) => {
+    if (!live.has(key)) {
+      delete st.locations[key];
+      return;
+    }
+    const fired = st.locations[key].fired || {};
+    Object.keys(fired).forEach((k) => {
+      if (now - fired[k] > ALERT_FIRED_TTL) delete fired[k];
+    });
   });
 }
-function clearRainDirection() {
-  if (rainDirLayer) {
-    map.removeLayer(rainDirLayer);
-    rainDirLayer = null;
-  }
+
+// Épisode suivi d'un contrôle à l'autre (pluie, vent, gel…) : tant qu'il reste annoncé ou en cours,
+// c'est le même épisode (identifié par son heure de début estimée) et il n'alerte qu'une fois
+const ALERT_EVENT_GAP_MS = 15 * 60 * 1000;
+
+function alertEventId(st, loc, kind, startAt) {
+  const entry = (st.locations[loc.key] ||= { enabled: true, fired: {} });
+  const events = (entry.events ||= {});
+  const now = Date.now();
+  if (!events[kind] || now - events[kind].seenAt > ALERT_EVENT_GAP_MS) events[kind] = { startAt, seenAt: now };
+  events[kind].seenAt = now;
+  return events[kind].startAt;
 }
 
-/* ============
-   ICONS
-============ */
-function arrowIcon(spd, degFrom, kind) {
-  const degTo = (degFrom + 180) % 360;
-  const size = 20;
-  const color = kind === "rain" ? "rgba(77,166,255,0.95)" : windColor(spd);
-  const html = `
-    <div style="
-      width:${size}px;height:${size}px;
-      transform: rotate(${degTo}deg);
-      color:${color};
-      font-size:${size}px;
-      line-height:${size}px;
-      text-shadow:0 1px 2px rgba(0,0,0,.35);
-    ">➤</div>`;
-  return L.divIcon({ className: "", html, iconSize: [size, size], iconAnchor: [size / 2, size / 2] });
+// true si l'alerte `id` n'a pas été déclenchée pour ce lieu depuis `cooldownMs`
+function shouldFire(st, loc, id, cooldownMs) {
+  const entry = (st.locations[loc.key] ||= { enabled: true, fired: {} });
+  entry.fired ||= {};
+  const now = Date.now();
+  if (now - (entry.fired[id] || 0) <= cooldownMs) return false;
+  entry.fired[id] = now;
+  return true;
 }
 
-/* ============
-   SEARCH (Nominatim)
-============ */
-function initSearchUI() {
-  let t = null;
+async function checkAlertsAt(loc, data, st, air, useRadar = true) {
+  const { lat, lon, name } = loc;
+  const rules = alertRules;
+  const fire = (ruleId, key, toast) => {
+    const rule = rules[ruleId];
+    if (!shouldFire(st, loc, `${ruleId}_${key}`, rule.cooldownMin * 60 * 1000)) return;
+    const alert = {
+      at: Date.now(),
+      icon: toast.icon,
+      title: `${toast.title} — ${name}`,
+      message: toast.message,
+      rule: alertRuleLabel(ruleId, rules),
+      lat,
+      lon,
+      name,
+    };
+    addAlertHistory(alert);
+    notifyAlert(alert);
+    pushToast({
+      icon: alert.icon,
+      title: alert.title,
+      message: alert.message,
+      time: `Règle : ${alert.rule}`,
+      actionText: "Voir",
+      onAction: () => goToLocation(lat, lon, name),
+    });
+  };
+  const hourly = (v, hours) => omSeriesFromNow(data, "hourly", v).slice(0, hours + 1);
+  // heure absolue du i-ème pas horaire : la clé d'un épisode ne glisse pas d'un contrôle à l'autre
+  const hourTimes = omStepsFromNow(data, "hourly", "temperature_2m").map((x) => x.t);
+  const hourMs = (i) => hourTimes[i] ?? Date.now() + i * 3600000;
+
+  if (rules.rain.enabled) {
+    const ev = computeRainEvent15(omSeriesFromNow(data, "minutely_15", "precipitation"), rules.rain.mm15);
+    const radar = useRadar ? await radarNowcastAt(lat, lon).catch(() => null) : null;
+    const eta = rainEtaSummary(radar, ev);
+    const eventId = eta.etaMin !== null ? alertEventId(st, loc, "rain", Date.now() + eta.etaMin * 60000) : null;
+    // Le radar ne connaît pas l'intensité à venir : au-delà du seuil par défaut, le modèle doit confirmer
+    const strongEnough = ev.startMin !== null || rules.rain.mm15 <= DEFAULT_ALERT_RULES.rain.mm15;
+    if (eta.etaMin !== null && eta.etaMin <= rules.rain.leadMin && strongEnough) {
+      const details =
+        ev.startMin !== null ? `Durée ~${ev.durationMin} min • Cumul ~${fmt(ev.totalMm)} mm` : "Cumul modèle ~0 mm";
+      fire("rain", eventId, {
+        icon: "🌧️",
+        title: eta.etaMin === 0 ? "Pluie en cours" : `Pluie dans ~${eta.etaMin} min`,
+        message: `${details} • Confiance ${eta.confidence}`,
+      });
+    }
+  }
 
-  citySearch?.addEventListener("input", () => {
-    const q = citySearch.value.trim();
-    if (t) clearTimeout(t);
+  if (rules.wind.enabled) {
+    const winds = hourly("windspeed_10m", rules.wind.leadH);
+    const gusts = hourly("windgusts_10m", rules.wind.leadH);
+    const wind = findPeakSoon(winds);
+    const gust = findPeakSoon(gusts);
+    const byWind = wind && wind.value >= rules.wind.windKmh;
+    const byGust = gust && gust.value >= rules.wind.gustKmh;
+    if (byWind || byGust) {
+      const peak = byGust ? gust : wind;
+      const first = winds.findIndex((v, i) => v >= rules.wind.windKmh || gusts[i] >= rules.wind.gustKmh);
+      fire("wind", alertEventId(st, loc, "wind", hourMs(first)), {
+        icon: "🌬️",
+        title: byGust ? `Rafales dans ~${peak.minutes} min` : `Vent fort dans ~${peak.minutes} min`,
+        message: `Vent ~${Math.round(wind?.value ?? 0)} km/h • Rafales ~${Math.round(gust?.value ?? 0)} km/h`,
+      });
+    }
+  }
 
-    if (!q || q.length < 3) {
-      hideResults();
-      return;
+  if (rules.storm.enabled && rules.storm.codes.length) {
+    const codes = hourly("weather_code", rules.storm.leadH);
+    const i = codes.findIndex((c) => rules.storm.codes.includes(c));
+    if (i >= 0) {
+      fire("storm", alertEventId(st, loc, "storm", hourMs(i)), {
+        icon: "⚡",
+        title: i === 0 ? "Orage en cours" : `Orage dans ~${i * 60} min`,
+        message: `Risque ${thunderRiskFromWeatherCode(codes[i])} (code ${codes[i]})`,
+      });
     }
-    t = setTimeout(() => searchCity(q), 250);
-  });
+  }
 
-  document.addEventListener("click", (e) => {
-    if (!searchResults) return;
-    if (!searchResults.contains(e.target) && e.target !== citySearch) {
-      hideResults();
+  if (rules.snow.enabled) {
+    const snow = hourly("snowfall", rules.snow.leadH);
+    const i = snow.findIndex((v) => v >= rules.snow.cmH);
+    if (i >= 0) {
+      const total = snow.slice(i).reduce((a, b) => a + b, 0);
+      fire("snow", alertEventId(st, loc, "snow", hourMs(i)), {
+        icon: "🌨️",
+        title: i === 0 ? "Neige en cours" : `Neige dans ~${i * 60} min`,
+        message: `~${fmt(snow[i])} cm/h • Cumul ~${fmt(total)} cm`,
+      });
     }
-  });
-}
+  }
 
-async function searchCity(q) {
-  if (!searchResults) return;
-  const url = `https://nominatim.openstreetmap.org/search?format=json&limit=8&q=${encodeURIComponent(q)}`;
-  try {
-    const res = await fetch(url, { headers: { Accept: "application/json" } });
-    const items = await res.json();
-    renderResults(items);
-  } catch (err) {
-    console.error(err);
-    hideResults();
+  if (rules.air.enabled && air) {
+    const r = rules.air;
+    const hours = (v) => omSeriesFromNow(air, "hourly", v).slice(0, r.leadH + 1);
+    const airTimes = omStepsFromNow(air, "hourly", "european_aqi").map((x) => x.t);
+    // épisode = première heure au-dessus du seuil, à l'heure absolue (comme les autres règles)
+    const eventKey = (kind, v, threshold) => {
+      const i = Math.max(0, hours(v).findIndex((x) => x >= threshold));
+      return `${kind}_${alertEventId(st, loc, `air_${kind}`, airTimes[i] ?? Date.now() + i * 3600000)}`;
+    };
+    const aqi = findPeakSoon(hours("european_aqi"));
+    const uv = findPeakSoon(hours("uv_index"));
+    const pollen = Object.keys(POLLEN_TYPES)
+      .map((k) => ({ type: k, ...findPeakSoon(hours(k)) }))
+      .reduce((a, b) => (b.value > (a?.value ?? -1) ? b : a), null);
+
+    if (aqi && aqi.value >= r.aqi) {
+      fire("air", eventKey("aqi", "european_aqi", r.aqi), {
+        icon: "🌫️",
+        title: `Qualité de l’air ${airClass(AQI_CLASSES, aqi.value).label}`,
+        message: `IQA ~${Math.round(aqi.value)} ${aqi.minutes ? `dans ~${aqi.minutes} min` : "maintenant"}`,
+      });
+    }
+    if (uv && uv.value >= r.uv) {
+      fire("air", eventKey("uv", "uv_index", r.uv), {
+        icon: "☀️",
+        title: `UV ${airClass(UV_CLASSES, uv.value).label}`,
+        message: `Indice ~${fmt(uv.value)} ${uv.minutes ? `dans ~${uv.minutes} min` : "maintenant"}`,
+      });
+    }
+    if (pollen?.value >= r.pollen) {
+      fire("air", eventKey(`pollen_${pollen.type}`, pollen.type, r.pollen), {
+        icon: "🌼",
+        title: `Pollen ${POLLEN_TYPES[pollen.type]} ${airClass(POLLEN_CLASSES, pollen.value).label}`,
+        message: `~${Math.round(pollen.value)} grains/m³ ${pollen.minutes ? `dans ~${pollen.minutes} min` : "maintenant"}`,
+      });
+    }
   }
-}
 
-function renderResults(items) {
-  if (!searchResults) return;
-  searchResults.innerHTML = "";
-  if (!items || !items.length) {
-    hideResults();
-    return;
+  if (rules.frost.enabled) {
+    const temps = hourly("temperature_2m", rules.frost.leadH);
+    const i = temps.findIndex((v) => v <= rules.frost.tempC);
+    if (i >= 0) {
+      fire("frost", alertEventId(st, loc, "frost", hourMs(i)), {
+        icon: "🧊",
+        title: i === 0 ? "Gel en cours" : `Gel dans ~${i * 60} min`,
+        message: `Minimum ~${fmt(Math.min(...temps))}°C`,
+      });
+    }
   }
-  items.forEach((it) => {
-    const div = document.createElement("div");
-    div.className = "search-item";
-    div.textContent = it.display_name;
-    div.addEventListener("click", () => {
-      const lat = parseFloat(it.lat);
-      const lon = parseFloat(it.lon);
-      goToLocation(lat, lon, it.display_name);
-      hideResults();
-    });
-    searchResults.appendChild(div);
-  });
-  searchResults.classList.remove("hidden");
 }
-function hideResults() {
-  searchResults?.classList.add("hidden");
+
+function findPeakSoon(arr) {
+  if (!arr || !arr.length) return null;
+  let best = { i: 0, value: arr[0] };
+  for (let i = 0; i < arr.length; i++) {
+    if (arr[i] > best.value) best = { i, value: arr[i] };
+  }
+  return { minutes: best.i * 60, value: best.value };
 }
 
 /* ============
-   FAVORITES (max 5)
+   ALERT RULES (editor in the bottom panel)
 ============ */
-addFavBtn?.addEventListener("click", () => {
-  if (!map) return;
-  const c = map.getCenter();
-  const name =
-    citySearch?.value && citySearch.value.trim().length >= 3
-      ? citySearch.value.trim()
-      : `Favori ${new Date().toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit" })}`;
-
-  addFavorite({ name, lat: c.lat, lon: c.lng });
-});
-
-function getFavs() {
+const DEFAULT_ALERT_RULES = {
+  rain: { enabled: true, mm15: 0.1, leadMin: 90, cooldownMin: 20 },
+  wind: { enabled: true, windKmh: 60, gustKmh: 90, leadH: 3, cooldownMin: 30 },
+  storm: { enabled: true, codes: [95, 96, 99], leadH: 3, cooldownMin: 60 },
+  snow: { enabled: false, cmH: 0.5, leadH: 6, cooldownMin: 60 },
+  frost: { enabled: false, tempC: 0, leadH: 12, cooldownMin: 180 },
+  air: { enabled: false, aqi: 60, uv: 8, pollen: 50, leadH: 6, cooldownMin: 180 },
+  quiet: { enabled: false, from: "22:00", to: "07:00" },
+};
+let alertRules = DEFAULT_ALERT_RULES;
+
+function getAlertRules() {
   try {
-    return JSON.parse(localStorage.getItem(FAV_KEY) || "[]");
+    const saved = JSON.parse(localStorage.getItem(ALERT_RULES_KEY) || "{}");
+    const out = {};
+    Object.keys(DEFAULT_ALERT_RULES).forEach((id) => {
+      out[id] = { ...DEFAULT_ALERT_RULES[id], ...(saved[id] || {}) };
+    });
+    return out;
   } catch {
-    return [];
+    return DEFAULT_ALERT_RULES;
   }
 }
-function setFavs(favs) {
-  localStorage.setItem(FAV_KEY, JSON.stringify(favs));
+function setAlertRules(rules) {
+  alertRules = rules;
+  localStorage.setItem(ALERT_RULES_KEY, JSON.stringify(rules));
 }
 
-function addFavorite(f) {
-  let favs = getFavs();
-  favs = favs.filter((x) => distKm(x.lat, x.lon, f.lat, f.lon) > 0.3);
-  favs.unshift(f);
-  favs = favs.slice(0, 5);
-  setFavs(favs);
-  renderFavs();
+function alertRuleLabel(id, rules) {
+  const r = rules[id];
+  switch (id) {
+    case "rain":
+      return `pluie ≥ ${fmt(r.mm15)} mm/15 min sous ${r.leadMin} min`;
+    case "wind":
+      return `vent ≥ ${r.windKmh} km/h ou rafales ≥ ${r.gustKmh} km/h sous ${r.leadH} h`;
+    case "storm":
+      return `orage (codes ${r.codes.join(", ")}) sous ${r.leadH} h`;
+    case "snow":
+      return `neige ≥ ${fmt(r.cmH)} cm/h sous ${r.leadH} h`;
+    case "frost":
+      return `gel ≤ ${fmt(r.tempC)}°C sous ${r.leadH} h`;
+    case "air":
+      return `IQA ≥ ${r.aqi}, UV ≥ ${fmt(r.uv)} ou pollen ≥ ${r.pollen} grains/m³ sous ${r.leadH} h`;
+    default:
+      return id;
+  }
+}
 
-  pushToast({
-    icon: "⭐",
-    title: "Ajouté aux favoris",
-    message: f.name,
-    time: "À l’instant",
-    actionText: "Voir",
-    onAction: () => goToLocation(f.lat, f.lon, f.name),
-  });
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm || "").split(":").map(Number);
+  return Number.isFinite(h) ? h * 60 + (m || 0) : null;
 }
 
-function removeFavorite(lat, lon) {
-  let favs = getFavs();
-  favs = favs.filter((x) => distKm(x.lat, x.lon, lat, lon) > 0.001);
-  setFavs(favs);
-  renderFavs();
+// La plage peut passer minuit (22:00 → 07:00)
+function inQuietHours(rules, date = new Date()) {
+  const q = rules.quiet;
+  if (!q?.enabled) return false;
+  const from = minutesOfDay(q.from);
+  const to = minutesOfDay(q.to);
+  if (from === null || to === null || from === to) return false;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  return from < to ? now >= from && now < to : now >= from || now < to;
 }
 
-function renderFavs() {
-  if (!favList) return;
-  const favs = getFavs();
-  favList.innerHTML = "";
+function readRuleInput(input, current) {
+  if (input.type === "checkbox") return input.checked;
+  if (input.type === "time") return input.value || current;
+  if (Array.isArray(current)) {
+    return input.value
+      .split(/[\s,;]+/)
+      .map((x) => parseInt(x, 10))
+      .filter(Number.isFinite);
+  }
+  const v = parseFloat(input.value);
+  if (!Number.isFinite(v)) return current;
+  // bornes du champ : un délai ≤ 0 viderait la série et couperait la règle sans le dire
+  const min = input.min === "" ? -Infinity : parseFloat(input.min);
+  const max = input.max === "" ? Infinity : parseFloat(input.max);
+  return clamp(v, min, max);
+}
 
-  favs.forEach((f) => {
-    const chip = document.createElement("div");
-    chip.className = "fav-chip";
-    chip.innerHTML = `<span>${escapeHtml(shortName(f.name))}</span><small>${f.lat.toFixed(
-      2
-    )}, ${f.lon.toFixed(2)}</small><span class="x">✕</span>`;
+function writeRuleInput(input, value) {
+  if (input.type === "checkbox") input.checked = !!value;
+  else input.value = Array.isArray(value) ? value.join(", ") : String(value);
+}
 
-    chip.addEventListener("click", (e) => {
-      const isX = e.target && e.target.classList && e.target.classList.contains("x");
-      if (isX) {
-        removeFavorite(f.lat, f.lon);
-        e.stopPropagation();
-        return;
-      }
-      goToLocation(f.lat, f.lon, f.name);
+function initAlertRules() {
+  alertRules = getAlertRules();
+  if (!alertRulesEl) return;
+
+  const inputs = [...alertRulesEl.querySelectorAll("[data-rule]")];
+  const fill = () => {
+    inputs.forEach((input) => {
+      const [id, field] = input.dataset.rule.split(".");
+      writeRuleInput(input, alertRules[id][field]);
+    });
+  };
+  fill();
+
+  inputs.forEach((input) => {
+    input.addEventListener("change", () => {
+      const [id, field] = input.dataset.rule.split(".");
+      const value = readRuleInput(input, alertRules[id][field]);
+      setAlertRules({ ...alertRules, [id]: { ...alertRules[id], [field]: value } });
+      writeRuleInput(input, value);
     });
+  });
 
-    favList.appendChild(chip);
+  alertRulesResetBtn?.addEventListener("click", () => {
+    setAlertRules(structuredClone(DEFAULT_ALERT_RULES));
+    fill();
   });
 }
 
 /* ============
-   NAVIGATION
+   SYSTEM NOTIFICATIONS (opt-in, through sw.js)
 ============ */
-async function goToLocation(lat, lon, label) {
-  if (!map) return;
-  map.setView([lat, lon], Math.max(map.getZoom(), 8), { animate: true });
+function notifyEnabled() {
+  return localStorage.getItem(NOTIFY_KEY) === "1" && "Notification" in window && Notification.permission === "granted";
+}
 
-  if (userMarker) userMarker.setLatLng([lat, lon]);
-  if (citySearch) citySearch.value = label || "";
+function initNotifications() {
+  if (!notifyToggle) return;
 
-  await refreshCenterWind();
-  if (rainDirToggle?.checked) drawRainDirection();
-  if (windArrowsToggle?.checked) drawWindArrows();
+  if (!("Notification" in window) || !("serviceWorker" in navigator)) {
+    notifyToggle.disabled = true;
+    notifyToggle.closest(".checkbox-wrapper-46")?.setAttribute("title", "Non pris en charge par ce navigateur");
+    return;
+  }
+  notifyToggle.checked = notifyEnabled();
 
-  pushToast({
-    icon: "📍",
-    title: "Position mise à jour",
-    message: label ? label : `${lat.toFixed(3)}, ${lon.toFixed(3)}`,
-    time: "À l’instant",
-    actionText: "Météo",
-    onAction: () => onMapClick({ lat, lng: lon }),
+  notifyToggle.addEventListener("change", async () => {
+    if (!notifyToggle.checked) {
+      localStorage.setItem(NOTIFY_KEY, "0");
+      return;
+    }
+    const perm = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+    notifyToggle.checked = perm === "granted";
+    localStorage.setItem(NOTIFY_KEY, notifyToggle.checked ? "1" : "0");
+    if (perm === "denied") {
+      pushToast({
+        icon: "🔕",
+        title: "Notifications bloquées",
+        message: "Autorisez-les dans les réglages du navigateur",
+        time: "À l’instant",
+      });
+    }
   });
 }
 
+// Onglet visible : le toast suffit. Sinon notification système (même si l'onglet est en arrière-plan)
+async function notifyAlert(alert) {
+  if (!notifyEnabled() || document.visibilityState === "visible") return;
+
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    await reg.showNotification(`${alert.icon} ${alert.title}`, {
+      body: `${alert.message}\nRègle : ${alert.rule}`,
+      icon: "icons/icon-192.png",
+      badge: "icons/icon-192.png",
+      tag: `rt-${alertLocKey(alert.lat, alert.lon)}`,
+      renotify: true,
+      data: { lat: alert.lat, lon: alert.lon, name: alert.name },
+    });
+  } catch (err) {
+    console.warn("Notification:", err);
+  }
+}
+
 /* ============
-   IN-SITE ALERTS (toasts)
+   ALERT HISTORY ("Dernières alertes")
 ============ */
-function startAlertLoop() {
-  checkAlerts().catch(() => {});
-  setInterval(() => checkAlerts().catch(() => {}), 180000);
-}
-function getAlertState() {
+const ALERT_HISTORY_MAX = 30;
+
+function getAlertHistory() {
   try {
-    return JSON.parse(localStorage.getItem(ALERT_KEY) || "{}");
+    return JSON.parse(localStorage.getItem(ALERT_HISTORY_KEY) || "[]");
   } catch {
-    return {};
+    return [];
   }
 }
-function setAlertState(st) {
-  localStorage.setItem(ALERT_KEY, JSON.stringify(st));
+function setAlertHistory(list) {
+  localStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(list));
 }
 
-async function checkAlerts() {
-  if (!map) return;
-
-  const c = map.getCenter();
-  const lat = c.lat,
-    lon = c.lng;
-
-  const url =
-    `https://api.open-meteo.com/v1/forecast` +
-    `?latitude=${lat}&longitude=${lon}` +
-    `&minutely_15=precipitation` +
-    `&hourly=windspeed_10m` +
-    `&timezone=auto`;
-
-  const res = await fetch(url);
-  const data = await res.json();
-
-  const st = getAlertState();
-  const now = Date.now();
+function addAlertHistory(alert) {
+  setAlertHistory([alert, ...getAlertHistory()].slice(0, ALERT_HISTORY_MAX));
+  renderAlertHistory();
+}
 
-  const rain15 = data?.minutely_15?.precipitation ? data.minutely_15.precipitation : [];
-  const ev = computeRainEvent15(rain15);
-  if (ev.startMin !== null && ev.startMin <= 90) {
-    const key = `rain_${Math.round(lat * 100)}_${Math.round(lon * 100)}_${ev.startMin}`;
-    const last = st[key] || 0;
-    if (now - last > 20 * 60 * 1000) {
-      st[key] = now;
-      setAlertState(st);
+function renderAlertHistory() {
+  if (!alertHistoryEl) return;
+  const list = getAlertHistory();
 
-      pushToast({
-        icon: "🌧️",
-        title: `Pluie dans ~${ev.startMin} min`,
-        message: `Durée ~${ev.durationMin} min • Cumul ~${fmt(ev.totalMm)} mm`,
-        time: "Mise à jour",
-        actionText: "Voir",
-        onAction: () => map.setView([lat, lon], Math.max(map.getZoom(), 9), { animate: true }),
-      });
-    }
+  alertHistoryClearBtn?.classList.toggle("hidden", !list.length);
+  if (!list.length) {
+    alertHistoryEl.innerHTML = `<div class="history-empty">Aucune alerte récente</div>`;
+    return;
   }
 
-  const windH = data?.hourly?.windspeed_10m ? data.hourly.windspeed_10m : [];
-  const windPeak = findWindPeakSoon(windH);
-  if (windPeak && windPeak.minutes <= 180 && windPeak.kmh >= 60) {
-    const key = `wind_${Math.round(lat * 100)}_${Math.round(lon * 100)}_${windPeak.minutes}_${Math.round(
-      windPeak.kmh
-    )}`;
-    const last = st[key] || 0;
-    if (now - last > 30 * 60 * 1000) {
-      st[key] = now;
-      setAlertState(st);
-
-      pushToast({
-        icon: "🌬️",
-        title: `Vent fort dans ~${windPeak.minutes} min`,
-        message: `Pic ~${Math.round(windPeak.kmh)} km/h`,
-        time: "Mise à jour",
-        actionText: "Voir",
-        onAction: () => map.setView([lat, lon], Math.max(map.getZoom(), 9), { animate: true }),
-      });
-    }
-  }
+  alertHistoryEl.innerHTML = list
+    .map(
+      (a, i) => `
+        <button class="history-item" type="button" data-i="${i}">
+          <span class="history-icon">${escapeHtml(a.icon)}</span>
+          <span>
+            <b>${escapeHtml(a.title)}</b>
+            <small>${escapeHtml(a.message)}</small>
+            <small>${alertHistoryDate(a.at)} · Règle : ${escapeHtml(a.rule)}</small>
+          </span>
+        </button>`
+    )
+    .join("");
+
+  alertHistoryEl.querySelectorAll(".history-item").forEach((el) => {
+    el.addEventListener("click", () => {
+      const a = list[Number(el.dataset.i)];
+      if (a) goToLocation(a.lat, a.lon, a.name);
+    });
+  });
 }
 
-function findWindPeakSoon(arr) {
-  if (!arr || !arr.length) return null;
-  let best = { i: 0, kmh: arr[0] };
-  for (let i = 0; i < Math.min(arr.length, 6); i++) {
-    if (arr[i] > best.kmh) best = { i, kmh: arr[i] };
-  }
-  return { minutes: best.i * 60, kmh: best.kmh };
+function alertHistoryDate(ts) {
+  const d = new Date(ts);
+  const today = new Date().toDateString() === d.toDateString();
+  return today ? fmtClock(ts) : `${d.toLocaleDateString("fr-FR", { weekday: "short", day: "numeric" })} ${fmtClock(ts)}`;
 }
 
+alertHistoryClearBtn?.addEventListener("click", () => {
+  setAlertHistory([]);
+  renderAlertHistory();
+});
+
 /* ============
    TOASTS
 ============ */
@@ -964,6 +4511,16 @@ function pushToast({ icon, title, message, time, actionText, onAction }) {
 function clamp(v, a, b) {
   return Math.max(a, Math.min(b, v));
 }
+// Échéance lisible : "45 min", "3 h", "3 h 30"
+function fmtLead(min) {
+  if (min < 60) return `${Math.max(0, min)} min`;
+  const h = Math.floor(min / 60);
+  const m = Math.round((min % 60) / 15) * 15;
+  return m && m < 60 ? `${h} h ${m}` : `${h} h`;
+}
+function fmtClock(ts) {
+  return new Date(ts).toLocaleTimeString("fr-FR", { hour: "2-digit", minute: "2-digit" });
+}
 function fmt(x) {
   if (x === null || x === undefined || Number.isNaN(x)) return "—";
   return (Math.round(x * 10) / 10).toString();
@@ -981,14 +4538,27 @@ function thunderRiskFromWeatherCode(code) {
   if (code === 96 || code === 99) return "élevé";
   return "faible";
 }
+// Codes météo WMO (Open-Meteo) -> emoji
+function weatherIcon(code) {
+  if (code === null || code === undefined) return "—";
+  if (code === 0) return "☀️";
+  if (code <= 2) return "🌤️";
+  if (code === 3) return "☁️";
+  if (code <= 48) return "🌫️";
+  if (code <= 57) return "🌦️";
+  if (code <= 67) return "🌧️";
+  if (code <= 77) return "🌨️";
+  if (code <= 82) return "🌦️";
+  if (code <= 86) return "🌨️";
+  return "⛈️";
+}
 function windColor(kmh) {
   if (kmh <= 15) return "rgba(102,204,255,0.95)";
   if (kmh <= 35) return "rgba(51,204,102,0.95)";
   if (kmh <= 60) return "rgba(255,153,0,0.95)";
   return "rgba(153,0,255,0.95)";
 }
-function computeRainEvent15(arr) {
-  const TH = 0.1;
+function computeRainEvent15(arr, TH = 0.1) {
   if (!arr || !arr.length) return { startMin: null, durationMin: 0, totalMm: 0 };
 
   let start = null;
@@ -1014,7 +4584,7 @@ function computeRainEvent15(arr) {
 function distKm(lat1, lon1, lat2, lon2) {
   const R = 6371;
   const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lat2 - lon1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
   const a =
     Math.sin(dLat / 2) ** 2 +
     Math.cos((lat1 * Math.PI) / 180) * Math.cos((lat2 * Math.PI) / 180) * Math.sin(dLon / 2) ** 2;
@@ -1036,8 +4606,31 @@ function escapeHtml(str) {
 /* ============
    START
 ============ */
+// ?lat=…&lon=…&name=… : ouverture depuis une notification quand l'app était fermée
+const startTarget = (() => {
+  const qs = new URLSearchParams(location.search);
+  const lat = parseFloat(qs.get("lat"));
+  const lon = parseFloat(qs.get("lon"));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const name = qs.get("name") || null;
+
+  // on ne veut pas y revenir à chaque rechargement
+  ["lat", "lon", "name"].forEach((k) => qs.delete(k));
+  const rest = qs.toString();
+  history.replaceState(null, "", location.pathname + (rest ? `?${rest}` : ""));
+  return { lat, lon, name };
+})();
+
+async function start(lat, lon) {
+  await initMap(lat, lon);
+  if (startTarget) goToLocation(startTarget.lat, startTarget.lon, startTarget.name);
+}
+
 navigator.geolocation.getCurrentPosition(
-  (pos) => initMap(pos.coords.latitude, pos.coords.longitude),
-  () => initMap(48.8566, 2.3522),
+  (pos) => {
+    geoPosition = { lat: pos.coords.latitude, lon: pos.coords.longitude };
+    start(geoPosition.lat, geoPosition.lon);
+  },
+  () => start(48.8566, 2.3522),
   { enableHighAccuracy: true, timeout: 10000 }
 );
@@ -0,0 +1,170 @@
+/* ============
+   SERVICE WORKER (offline)
+   - app shell: stale-while-revalidate
+   - radar frame list + forecasts: network first, last good copy when offline, trimmed
+     (grid overlays make a new multi-point URL on every pan/zoom)
+   - radar + basemap tiles: cache first (a tile URL never changes), trimmed.
+     Opaque responses (basemaps loaded without CORS) count for several MB of
+     quota each in Chrome: they go to their own, much smaller cache.
+   When a cached copy is served because the network failed, the page gets
+   { type: "rt-offline-data", url, fetchedAt } to show "données de HH:MM".
+   Alert notifications (shown by the page through registration.showNotification)
+   carry { lat, lon, name }: a click focuses the app and sends
+   { type: "rt-focus-location", lat, lon, name }, or opens it on ?lat=&lon=&name=.
+============ */
+const VERSION = "rt-v3";
+const SHELL_CACHE = `${VERSION}-shell`;
+const DATA_CACHE = `${VERSION}-data`;
+const DATA_CACHE_MAX = 150;
+const TILE_CACHE = `${VERSION}-tiles`;
+const TILE_CACHE_MAX = 800;
+const OPAQUE_TILE_CACHE = `${VERSION}-tiles-opaque`;
+const OPAQUE_TILE_CACHE_MAX = 40;
+
+const SHELL = [
+  "./",
+  "index.html",
+  "css/style.css",
+  "js/providers.js",
+  "js/script.js",
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+];
+// CDN : au mieux (un échec ne doit pas bloquer l'installation)
+const SHELL_CDN = ["https://unpkg.com/leaflet/dist/leaflet.css", "https://unpkg.com/leaflet/dist/leaflet.js"];
+
+const DATA_HOSTS = ["api.rainviewer.com", "api.open-meteo.com", "air-quality-api.open-meteo.com"];
+const TILE_HOSTS = ["tilecache.rainviewer.com", "tile.openstreetmap.org", "server.arcgisonline.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) =>
+        cache
+          .addAll(SHELL)
+          .then(() => Promise.all(SHELL_CDN.map((url) => cache.add(new Request(url, { mode: "cors" })).catch(() => {}))))
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => !k.startsWith(VERSION)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+  const host = url.hostname;
+
+  if (DATA_HOSTS.includes(host)) {
+    event.respondWith(networkFirst(event));
+  } else if (TILE_HOSTS.some((h) => host === h || host.endsWith(`.${h}`))) {
+    event.respondWith(cacheFirst(req));
+  } else if (url.origin === self.location.origin || host === "unpkg.com") {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(focusLocation(event.notification.data || {}));
+});
+
+async function focusLocation({ lat, lon, name }) {
+  const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  const client = clients.find((c) => new URL(c.url).origin === self.location.origin);
+
+  if (client) {
+    await client.focus();
+    if (Number.isFinite(lat) && Number.isFinite(lon)) client.postMessage({ type: "rt-focus-location", lat, lon, name });
+    return;
+  }
+
+  const url = new URL("./", self.location.href);
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    url.searchParams.set("lat", String(lat));
+    url.searchParams.set("lon", String(lon));
+    if (name) url.searchParams.set("name", name);
+  }
+  await self.clients.openWindow(url.href);
+}
+
+async function networkFirst(event) {
+  const req = event.request;
+  const cache = await caches.open(DATA_CACHE);
+
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      // on garde l'heure de récupération pour le bandeau hors ligne
+      const headers = new Headers(res.headers);
+      headers.set("x-rt-fetched-at", String(Date.now()));
+      const body = await res.clone().blob();
+      await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+      trimCache(cache, DATA_CACHE_MAX);
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req);
+    if (!hit) throw err;
+
+    notifyOffline(event.clientId, req.url, Number(hit.headers.get("x-rt-fetched-at")) || null);
+    return hit;
+  }
+}
+
+async function cacheFirst(req) {
+  const hit =
+    (await caches.match(req, { cacheName: TILE_CACHE })) ||
+    (await caches.match(req, { cacheName: OPAQUE_TILE_CACHE }));
+  if (hit) return hit;
+
+  const res = await fetch(req);
+  const opaque = res.type === "opaque";
+  if (res.ok || opaque) {
+    const cache = await caches.open(opaque ? OPAQUE_TILE_CACHE : TILE_CACHE);
+    await cache.put(req, res.clone());
+    trimCache(cache, opaque ? OPAQUE_TILE_CACHE_MAX : TILE_CACHE_MAX);
+  }
+  return res;
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(event.request, { ignoreSearch: true });
+
+  const refresh = fetch(event.request)
+    .then((res) => {
+      if (res.ok) cache.put(event.request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+
+  if (hit) {
+    event.waitUntil(refresh);
+    return hit;
+  }
+  return (await refresh) || Response.error();
+}
+
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  // les clés sont dans l'ordre d'insertion : on retire les plus anciennes
+  for (let i = 0; i < keys.length - max; i++) await cache.delete(keys[i]);
+}
+
+async function notifyOffline(clientId, url, fetchedAt) {
+  const client = clientId ? await self.clients.get(clientId) : null;
+  const targets = client ? [client] : await self.clients.matchAll({ type: "window" });
+  targets.forEach((c) => c.postMessage({ type: "rt-offline-data", url, fetchedAt }));
+}